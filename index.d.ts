@@ -24,6 +24,78 @@ declare namespace ZyroAPITypes {
         ignoreTrailingSlash?: boolean;
         /** Allow unsafe regex in routes (default: false) */
         allowUnsafeRegex?: boolean;
+        /** How req.query is built from the query string (default: 'simple') */
+        queryParser?: 'simple' | 'extended' | QueryParserOptions | ((queryString: string) => QueryParams);
+        /** Convert query values to the types in schema.querystring for every route (default: false) */
+        coerceQuery?: boolean;
+        /** Secret(s) for signed cookies; the first signs, all verify */
+        cookieSecret?: string | string[];
+        /** ETag generation for res.send/res.json bodies of GET and HEAD responses (default: 'weak') */
+        etag?: ETagOption;
+        /** Milliseconds app.close() waits for in-flight requests (default: 10000) */
+        closeTimeout?: number;
+        /** Milliseconds an async plugin load() may take (default: 10000) */
+        pluginTimeout?: number;
+        /** Call app.close() on SIGTERM/SIGINT (true) or on the listed signals, and exit with code 1 if launch() fails (default: false) */
+        handleSignals?: boolean | NodeJS.Signals[];
+    }
+
+    /**
+     * ETag mode, or a custom generator returning a quoted entity tag
+     */
+    type ETagOption = 'weak' | 'strong' | boolean | ((body: string | Buffer) => string);
+
+    /**
+     * Options for app.static()
+     */
+    interface StaticOptions {
+        /** Directory index file(s), or false (default: 'index.html') */
+        index?: string | string[] | false;
+        /** Extensions tried when the path has none, e.g. ['html'] */
+        extensions?: string[];
+        /** Dotfile policy (default: 'ignore' -> 404) */
+        dotfiles?: 'allow' | 'deny' | 'ignore';
+        /** Serve .br/.gz siblings when accepted (default: true) */
+        precompressed?: boolean;
+        /** Cache-Control max-age in milliseconds (default: 0) */
+        maxAge?: number;
+        /** Add the immutable directive (default: false) */
+        immutable?: boolean;
+        /** Set Cache-Control (default: true) */
+        cacheControl?: boolean;
+        /** Hook to set extra headers before a file is sent */
+        setHeaders?: (res: ZyroResponse, filePath: string, stat: import('fs').Stats) => void;
+    }
+
+    /**
+     * Options for res.cookie() and res.clearCookie()
+     */
+    interface CookieOptions {
+        /** Lifetime in milliseconds (sets Max-Age and Expires) */
+        maxAge?: number;
+        /** Expiry date */
+        expires?: Date;
+        httpOnly?: boolean;
+        secure?: boolean;
+        sameSite?: boolean | 'strict' | 'lax' | 'none';
+        domain?: string;
+        /** Cookie path (default: '/') */
+        path?: string;
+        /** Sign with the app's cookieSecret */
+        signed?: boolean;
+        /** Add the Partitioned attribute */
+        partitioned?: boolean;
+    }
+
+    /**
+     * Extended query parser settings
+     */
+    interface QueryParserOptions {
+        mode: 'simple' | 'extended';
+        /** Maximum bracket nesting depth (default: 5) */
+        depth?: number;
+        /** Maximum number of parameters (default: 1000) */
+        parameterLimit?: number;
     }
 
     /**
@@ -37,7 +109,7 @@ declare namespace ZyroAPITypes {
      * Query parameters from URL query string
      */
     interface QueryParams {
-        [key: string]: string | string[];
+        [key: string]: any;
     }
 
     /**
@@ -76,11 +148,47 @@ declare namespace ZyroAPITypes {
         /** Logger instance for this request */
         log: Logger;
         /** Session data (if session middleware is used) */
-        session?: any;
+        session?: Session;
         /** Session ID (if session middleware is used) */
         sessionID?: string;
         /** CSRF token function (if CSRF plugin is used) */
         csrfToken?: () => string;
+        /** Uploaded files (requires multipart plugin) */
+        files?: UploadedFile[];
+        /** Cookies from the Cookie header (parsed on first access) */
+        cookies: { [name: string]: string };
+        /** Verified signed cookies; false when the signature does not match */
+        signedCookies: { [name: string]: string | false };
+        /** Part of the URL a mounted app or handler was mounted at */
+        baseUrl?: string;
+        /** Full URL before a mount stripped its prefix */
+        originalUrl?: string;
+        /** Host match when the request was dispatched by app.vhost() */
+        vhost?: { hostname: string; length: number; [label: string]: string | number };
+        /** Version of the matched route, when it has a version constraint */
+        version?: string;
+        /** Options of the matched route (undefined when no route matched) */
+        routeOptions?: RouteInfo;
+        /** Throws a 412 error when If-Match / If-Unmodified-Since (or If-None-Match on writes) fail */
+        checkPreconditions(validators: { etag?: string; lastModified?: Date | number }): void;
+    }
+
+    /**
+     * File received by the multipart plugin
+     */
+    interface UploadedFile {
+        /** Form field name */
+        fieldName: string;
+        /** Client-supplied file name (base name only) */
+        filename: string;
+        /** Content-Type of the part (default: 'application/octet-stream') */
+        mimeType: string;
+        /** Size in bytes */
+        size: number;
+        /** Temp file location (when no onFile handler is set) */
+        path?: string;
+        /** Value returned by the onFile handler */
+        result?: any;
     }
 
     // ============================================================
@@ -133,7 +241,15 @@ declare namespace ZyroAPITypes {
         redirect(url: string, statusCode?: number): void;
 
         /**
-         * Send file as response
+         * Redirect to a named route (path built by app.url)
+         * @param name - Route name
+         * @param params - Route params
+         * @param statusCode - HTTP status code (default: 302)
+         */
+        redirectTo(name: string, params?: { [key: string]: string | number }, statusCode?: number): this;
+
+        /**
+         * Send file as response (supports Range, If-None-Match, If-Modified-Since and If-Range)
          * @param filePath - Path to file
          */
         sendFile(filePath: string): void;
@@ -144,6 +260,21 @@ declare namespace ZyroAPITypes {
          */
         attachment(filename?: string): this;
 
+        /**
+         * Append a Set-Cookie header
+         * @param name - Cookie name
+         * @param value - Cookie value (non-strings are JSON-encoded)
+         * @param options - Cookie attributes
+         */
+        cookie(name: string, value: any, options?: CookieOptions): this;
+
+        /**
+         * Expire a cookie on the client
+         * @param name - Cookie name
+         * @param options - Must match the path/domain used when setting it
+         */
+        clearCookie(name: string, options?: CookieOptions): this;
+
         /**
          * Send status code with empty body
          * @param code - HTTP status code
@@ -264,8 +395,20 @@ declare namespace ZyroAPITypes {
     interface PluginConstructor {
         new (options?: any): Plugin;
         name: string;
+        /** Plugins (names or classes) that must finish loading first */
+        dependencies?: Array<string | PluginConstructor>;
+        /** Milliseconds an async load() may take (overrides the pluginTimeout app option) */
+        loadTimeout?: number;
+        /** Decorators that must be registered before this plugin loads */
+        decorators?: { app?: string[]; request?: string[]; response?: string[] };
     }
 
+    /**
+     * Value for decorate()/decorateRequest()/decorateResponse(): a plain value,
+     * a method, or an accessor computed on read
+     */
+    type DecoratorValue<T = any> = T | { getter: (this: T) => any; setter?: (this: T, value: any) => void };
+
     // ============================================================
     // Built-in Plugin Options
     // ============================================================
@@ -300,6 +443,310 @@ declare namespace ZyroAPITypes {
         optionsSuccessStatus?: number;
     }
 
+    /**
+     * URL-encoded form parser plugin options
+     */
+    interface UrlencodedOptions {
+        /** Maximum request body size (default: '100kb') */
+        limit?: string | number;
+        /** Parse bracket notation into nested objects and arrays (default: true) */
+        extended?: boolean;
+        /** Maximum bracket nesting depth (default: 5) */
+        depth?: number;
+        /** Maximum number of parameters (default: 1000) */
+        parameterLimit?: number;
+    }
+
+    /**
+     * req.session: own properties are the session data
+     */
+    interface Session {
+        readonly id: string;
+        /** Start a new, empty session under a new id */
+        regenerate(): Promise<this>;
+        /** Remove the session from the store and clear the cookie */
+        destroy(): Promise<void>;
+        /** Persist now instead of at the end of the response */
+        save(): Promise<void>;
+        /** Extend the expiry in the store */
+        touch(): Promise<void>;
+        [key: string]: any;
+    }
+
+    /**
+     * Session store interface
+     */
+    interface SessionStore {
+        get(id: string): Promise<{ [key: string]: any } | null>;
+        set(id: string, data: { [key: string]: any }, ttl: number): Promise<void>;
+        destroy(id: string): Promise<void>;
+        touch?(id: string, data: { [key: string]: any }, ttl: number): Promise<void>;
+        close?(): void;
+    }
+
+    /**
+     * Session plugin options
+     */
+    interface SessionOptions {
+        /** Session store (default: in-memory store) */
+        store?: SessionStore;
+        /** Session lifetime in milliseconds (default: 24 hours) */
+        ttl?: number;
+        /** Session-id cookie name (default: 'zyro.sid') */
+        cookieName?: string;
+        /** Cookie attributes (default: { path: '/', httpOnly: true, sameSite: 'lax' }) */
+        cookie?: CookieOptions;
+        /** Sign the session id (default: true when cookieSecret is set) */
+        signed?: boolean;
+        /** Re-send the cookie on every response (default: false) */
+        rolling?: boolean;
+        /** Extend store expiry on access (default: true) */
+        touch?: boolean;
+        /** Save new sessions even if unmodified (default: false) */
+        saveUninitialized?: boolean;
+    }
+
+    /**
+     * Compression plugin options
+     */
+    interface CompressOptions {
+        /** Minimum body size to compress when the length is known (default: '1kb') */
+        threshold?: string | number;
+        /** Offered encodings in preference order (default: ['br', 'gzip', 'deflate']) */
+        encodings?: Array<'br' | 'gzip' | 'deflate'>;
+        /** zlib level for gzip/deflate */
+        level?: number;
+        /** Brotli quality 0-11 (default: 4) */
+        brotliQuality?: number;
+        /** Custom compressibility check replacing the content-type test */
+        filter?: (req: ZyroRequest, res: ZyroResponse) => boolean;
+    }
+
+    /**
+     * Multipart plugin options
+     */
+    interface MultipartOptions {
+        /** Upload limits; sizes accept bytes or strings like '5mb' */
+        limits?: {
+            /** Maximum size per file (default: '10mb') */
+            fileSize?: string | number;
+            /** Maximum number of files (default: 10) */
+            files?: number;
+            /** Maximum number of non-file fields (default: 100) */
+            fields?: number;
+            /** Maximum size per field value (default: '100kb') */
+            fieldSize?: string | number;
+            /** Maximum request body size (default: '50mb') */
+            totalSize?: string | number;
+        };
+        /** Directory for temp files (default: os.tmpdir()) */
+        tmpDir?: string;
+        /** Stream each file to your own destination instead of the temp dir; must consume the stream */
+        onFile?: (stream: NodeJS.ReadableStream, file: UploadedFile, req: ZyroRequest) => any;
+        /** Delete temp files once the response has finished (default: true) */
+        cleanup?: boolean;
+    }
+
+    // ============================================================
+    // Route Options & Schemas
+    // ============================================================
+
+    /**
+     * JSON Schema definition (draft 2020-12 subset)
+     */
+    type JSONSchema = { [keyword: string]: any } | boolean;
+
+    /**
+     * Per-route JSON Schemas, validated before the handler runs
+     */
+    interface RouteSchema {
+        /** Path parameters (values are coerced to the declared types) */
+        params?: JSONSchema;
+        /** Query string parameters */
+        querystring?: JSONSchema;
+        /** Request headers (names are matched case-insensitively) */
+        headers?: JSONSchema;
+        /** Parsed request body */
+        body?: JSONSchema;
+        /** Response schemas keyed by status code ('200'), range ('2xx') or 'default' */
+        response?: { [statusCode: string]: JSONSchema };
+    }
+
+    /**
+     * Options accepted between the path and the handlers of a route
+     */
+    interface RouteOptions {
+        /** Request validation schemas */
+        schema?: RouteSchema;
+        /** OpenAPI operation summary */
+        summary?: string;
+        /** OpenAPI operation description */
+        description?: string;
+        /** OpenAPI tags */
+        tags?: string[];
+        /** OpenAPI operationId */
+        operationId?: string;
+        /** Mark the operation as deprecated in the OpenAPI document */
+        deprecated?: boolean;
+        /** OpenAPI security requirements for this operation */
+        security?: Array<{ [scheme: string]: string[] }>;
+        /** Leave this route out of the OpenAPI document */
+        hide?: boolean;
+        /** Override the app's etag option for this route */
+        etag?: ETagOption;
+        /** Request validation behavior */
+        validation?: {
+            /** Convert query values to the types declared in schema.querystring (default: false) */
+            coerceQuerystring?: boolean;
+            /** Reject requests without a body when schema.body is set (default: true) */
+            bodyRequired?: boolean;
+        };
+        /** Name for app.url() and res.redirectTo() */
+        name?: string;
+        /** Hooks that run after the app's preHandler hooks, for this route only */
+        preHandler?: HookHandler | HookHandler[];
+        /** Maximum request body size for this route, in bytes or as '100kb' etc. (answers 413 when exceeded) */
+        bodyLimit?: number | string;
+        /** Answer 503 ROUTE_TIMEOUT when the route has not responded within this many milliseconds */
+        timeout?: number;
+        /** Free-form data, readable as req.routeOptions.config */
+        config?: { [key: string]: any };
+        /** find-my-way constraints the request must match (e.g. { version: '1.2.0', host: 'example.com' }) */
+        constraints?: { [name: string]: any };
+        /** Send a Deprecation header: true, or the date the route was deprecated */
+        deprecation?: boolean | Date | string | number;
+        /** Send a Sunset header with the date the route goes away */
+        sunset?: Date | string | number;
+    }
+
+    /**
+     * Defaults applied to every route in an app.group()
+     */
+    interface GroupOptions {
+        /** Accept-Version the group's routes answer to (shorthand for constraints.version) */
+        version?: string;
+        constraints?: { [name: string]: any };
+        deprecation?: boolean | Date | string | number;
+        sunset?: Date | string | number;
+    }
+
+    /**
+     * Options object for app.route()
+     */
+    interface RouteDefinition extends RouteOptions {
+        /** HTTP method or methods */
+        method: string | string[];
+        /** Route path (alias: path) */
+        url?: string;
+        path?: string;
+        /** Route middleware, run before the handler */
+        middleware?: MiddlewareFunction | MiddlewareFunction[];
+        handler: RouteHandler;
+    }
+
+    /**
+     * The matched route's options, exposed as req.routeOptions
+     */
+    interface RouteInfo {
+        method: string;
+        /** The route pattern, e.g. '/users/:id' */
+        url: string;
+        config: { [key: string]: any };
+        /** Body limit in bytes */
+        bodyLimit?: number;
+        timeout?: number;
+        constraints?: { [name: string]: any };
+    }
+
+    /**
+     * A single request validation failure
+     */
+    interface ValidationIssue {
+        /** Failing location, e.g. 'body.user.email' or 'querystring.limit' */
+        path: string;
+        /** JSON Schema keyword that failed */
+        keyword: string;
+        /** Human-readable description */
+        message: string;
+    }
+
+    /**
+     * Error passed to the error handler when request validation fails
+     */
+    interface ValidationError extends Error {
+        statusCode: 400;
+        code: 'VALIDATION_ERROR';
+        validation: ValidationIssue[];
+    }
+
+    // ============================================================
+    // Request Injection
+    // ============================================================
+
+    /**
+     * Options for app.inject()
+     */
+    interface InjectOptions {
+        /** HTTP method (default: 'GET') */
+        method?: string;
+        /** Request URL including query string (default: '/') */
+        url?: string;
+        /** Request headers */
+        headers?: { [key: string]: string | string[] | undefined };
+        /** Request body; objects are sent as JSON */
+        payload?: string | Buffer | object;
+        /** Client address reported by req.ip (default: '127.0.0.1') */
+        remoteAddress?: string;
+        /** Simulate an encrypted connection */
+        secure?: boolean;
+    }
+
+    /**
+     * Response captured by app.inject()
+     */
+    interface InjectResponse {
+        /** HTTP status code */
+        statusCode: number;
+        /** HTTP status message */
+        statusMessage: string;
+        /** Response headers */
+        headers: { [key: string]: string | number | string[] | undefined };
+        /** Response body as a UTF-8 string */
+        body: string;
+        /** Response body as raw bytes */
+        rawPayload: Buffer;
+        /** Parse the body as JSON */
+        json<T = any>(): T;
+    }
+
+    // ============================================================
+    // OpenAPI
+    // ============================================================
+
+    /**
+     * Options for app.openapi() and the OpenAPI plugin
+     */
+    interface OpenAPIOptions {
+        /** OpenAPI info object (default title 'ZyroAPI Application', version '1.0.0') */
+        info?: { title?: string; version?: string; description?: string; [key: string]: any };
+        /** OpenAPI servers list */
+        servers?: Array<{ url: string; description?: string }>;
+        /** Tag definitions */
+        tags?: Array<{ name: string; description?: string }>;
+        /** Shared components (schemas, securitySchemes, ...) */
+        components?: { [key: string]: any };
+        /** Global security requirements */
+        security?: Array<{ [scheme: string]: string[] }>;
+    }
+
+    /**
+     * OpenAPI plugin options
+     */
+    interface OpenAPIPluginOptions extends OpenAPIOptions {
+        /** Path serving the document (default: '/openapi.json') */
+        path?: string;
+    }
+
     // ============================================================
     // Hook Names
     // ============================================================
@@ -307,7 +754,38 @@ declare namespace ZyroAPITypes {
     /**
      * Available lifecycle hook names
      */
-    type HookName = 'onRequest' | 'preHandler' | 'onResponse' | 'onError' | 'onListen';
+    type HookName = 'onRequest' | 'preHandler' | 'onResponse' | 'onError' | 'onListen' | 'onClose' | 'onRoute';
+
+    /**
+     * A route about to be registered, as passed to onRoute hooks.
+     * handler, middleware and options may be changed
+     */
+    interface RouteRegistration {
+        method: string;
+        /** Full route pattern, group and scope prefixes included */
+        url: string;
+        /** Group/scope prefix the route was registered under */
+        prefix: string;
+        handler: RouteHandler;
+        middleware: MiddlewareFunction[];
+        options: RouteOptions;
+    }
+
+    /**
+     * An entry of app.routes()
+     */
+    interface RouteDescription {
+        method: string;
+        path: string;
+        /** Handler function name ('anonymous' when unnamed) */
+        handler: string;
+        /** Route-level middleware names */
+        middleware: string[];
+        constraints: { [name: string]: any };
+        /** Host pattern when the route belongs to app.vhost() */
+        vhost: string | RegExp | null;
+        options: RouteOptions;
+    }
 
     // ============================================================
     // Main ZyroAPI Class
@@ -316,13 +794,30 @@ declare namespace ZyroAPITypes {
     /**
      * Main ZyroAPI application class
      */
+    /**
+     * A collection of routes, middleware and nested routers, attached with app.mount()
+     */
+    class Router {
+        get(path: string, ...handlers: Array<RouteOptions | RouteHandler>): this;
+        post(path: string, ...handlers: Array<RouteOptions | RouteHandler>): this;
+        put(path: string, ...handlers: Array<RouteOptions | RouteHandler>): this;
+        patch(path: string, ...handlers: Array<RouteOptions | RouteHandler>): this;
+        delete(path: string, ...handlers: Array<RouteOptions | RouteHandler>): this;
+        options(path: string, ...handlers: Array<RouteOptions | RouteHandler>): this;
+        head(path: string, ...handlers: Array<RouteOptions | RouteHandler>): this;
+        /** Middleware for this router's routes only */
+        attach(...middleware: Array<MiddlewareFunction | MiddlewareFunction[]>): this;
+        /** Nest a router, app or raw handler under a prefix */
+        mount(prefix: string, target: Router | ZyroAPIClass | ((req: IncomingMessage, res: ServerResponse, next: (err?: any) => void) => void)): this;
+    }
+
     class ZyroAPIClass extends EventEmitter {
         /** Application configuration */
         config: ZyroAPIOptions;
         /** Application logger */
         log: Logger;
-        /** HTTP server instance */
-        server?: Server;
+        /** HTTP server created by launch(), or null before launch */
+        server: Server | null;
 
         /**
          * Create a new ZyroAPI application
@@ -338,6 +833,21 @@ declare namespace ZyroAPITypes {
         static get jsonParser(): PluginConstructor;
         /** Get CORS plugin class */
         static get cors(): PluginConstructor;
+        /** Get OpenAPI document plugin class */
+        static get openapi(): PluginConstructor;
+        /** Get multipart/form-data parser plugin class */
+        static get multipart(): PluginConstructor;
+        /** Get URL-encoded form parser plugin class */
+        static get urlencoded(): PluginConstructor;
+        /** Get response compression plugin class */
+        static get compress(): PluginConstructor;
+        /** Create a mountable Router */
+        static Router(): Router;
+        /** Get session plugin class (with MemoryStore and FileStore statics) */
+        static get session(): PluginConstructor & {
+            MemoryStore: new (options?: { sweepInterval?: number }) => SessionStore;
+            FileStore: new (options?: { dir?: string; sweepInterval?: number }) => SessionStore;
+        };
 
         // ============================================================
         // Server Control
@@ -358,15 +868,35 @@ declare namespace ZyroAPITypes {
          */
         launch(port: number, host: string, callback?: () => void): Server;
 
+        /**
+         * Gracefully shut down: stop accepting connections, let in-flight requests
+         * finish, then run onClose hooks and unload plugins
+         * @param options.timeout - Milliseconds to wait before force-closing connections
+         */
+        close(options?: { timeout?: number }): Promise<void>;
+
         /**
          * Get the underlying HTTP server instance
          */
         instance(): (req: IncomingMessage, res: ServerResponse) => void;
 
+        /**
+         * Run a request through the app without opening a socket. Rejects with code
+         * ECONNRESET when the response is cut off after its headers were sent
+         * @param options - Request options, or a URL for a plain GET
+         */
+        inject(options: InjectOptions | string): Promise<InjectResponse>;
+
         // ============================================================
         // HTTP Method Routing
         // ============================================================
 
+        /**
+         * Register a route from an options object
+         * @param options - method(s), url, handler and route options
+         */
+        route(options: RouteDefinition): this;
+
         /**
          * Register GET route
          * @param path - Route path (supports :params and *)
@@ -374,6 +904,14 @@ declare namespace ZyroAPITypes {
          */
         get(path: string, handler: RouteHandler): void;
 
+        /**
+         * Register GET route with options (e.g. schema) and optional route middleware
+         * @param path - Route path
+         * @param options - Route options
+         * @param handlers - Route middleware followed by the handler
+         */
+        get(path: string, options: RouteOptions, ...handlers: RouteHandler[]): void;
+
         /**
          * Register POST route
          * @param path - Route path
@@ -381,6 +919,14 @@ declare namespace ZyroAPITypes {
          */
         post(path: string, handler: RouteHandler): void;
 
+        /**
+         * Register POST route with options (e.g. schema) and optional route middleware
+         * @param path - Route path
+         * @param options - Route options
+         * @param handlers - Route middleware followed by the handler
+         */
+        post(path: string, options: RouteOptions, ...handlers: RouteHandler[]): void;
+
         /**
          * Register PUT route
          * @param path - Route path
@@ -388,6 +934,14 @@ declare namespace ZyroAPITypes {
          */
         put(path: string, handler: RouteHandler): void;
 
+        /**
+         * Register PUT route with options (e.g. schema) and optional route middleware
+         * @param path - Route path
+         * @param options - Route options
+         * @param handlers - Route middleware followed by the handler
+         */
+        put(path: string, options: RouteOptions, ...handlers: RouteHandler[]): void;
+
         /**
          * Register PATCH route
          * @param path - Route path
@@ -395,6 +949,14 @@ declare namespace ZyroAPITypes {
          */
         patch(path: string, handler: RouteHandler): void;
 
+        /**
+         * Register PATCH route with options (e.g. schema) and optional route middleware
+         * @param path - Route path
+         * @param options - Route options
+         * @param handlers - Route middleware followed by the handler
+         */
+        patch(path: string, options: RouteOptions, ...handlers: RouteHandler[]): void;
+
         /**
          * Register DELETE route
          * @param path - Route path
@@ -402,6 +964,14 @@ declare namespace ZyroAPITypes {
          */
         delete(path: string, handler: RouteHandler): void;
 
+        /**
+         * Register DELETE route with options (e.g. schema) and optional route middleware
+         * @param path - Route path
+         * @param options - Route options
+         * @param handlers - Route middleware followed by the handler
+         */
+        delete(path: string, options: RouteOptions, ...handlers: RouteHandler[]): void;
+
         /**
          * Register OPTIONS route
          * @param path - Route path
@@ -409,6 +979,14 @@ declare namespace ZyroAPITypes {
          */
         options(path: string, handler: RouteHandler): void;
 
+        /**
+         * Register OPTIONS route with options (e.g. schema) and optional route middleware
+         * @param path - Route path
+         * @param options - Route options
+         * @param handlers - Route middleware followed by the handler
+         */
+        options(path: string, options: RouteOptions, ...handlers: RouteHandler[]): void;
+
         /**
          * Register HEAD route
          * @param path - Route path
@@ -416,6 +994,14 @@ declare namespace ZyroAPITypes {
          */
         head(path: string, handler: RouteHandler): void;
 
+        /**
+         * Register HEAD route with options (e.g. schema) and optional route middleware
+         * @param path - Route path
+         * @param options - Route options
+         * @param handlers - Route middleware followed by the handler
+         */
+        head(path: string, options: RouteOptions, ...handlers: RouteHandler[]): void;
+
         // ============================================================
         // Middleware & Plugins
         // ============================================================
@@ -429,10 +1015,35 @@ declare namespace ZyroAPITypes {
         /**
          * Register a plugin
          * @param PluginClass - Plugin class constructor
-         * @param options - Plugin options
+         * @param options - Plugin options; a `prefix` gives the plugin its own scope
          */
         plug(PluginClass: PluginConstructor, options?: any): void;
 
+        /**
+         * Run a registration function in a child scope. Middleware, request hooks and the
+         * error handler set on the scope only apply to routes registered through it
+         * @param fn - Receives the scope (an app-like object) and the options
+         * @param options.prefix - Path prefix for the scope's routes
+         */
+        register(fn: (scope: ZyroAPIClass, options: { prefix?: string; [key: string]: any }) => void | Promise<void>, options?: { prefix?: string; [key: string]: any }): this;
+        register(PluginClass: PluginConstructor, options?: { prefix?: string; [key: string]: any }): this;
+
+        /** Add a property to the app (or the current plugin scope); throws if the name exists */
+        decorate(name: string, value: DecoratorValue<ZyroAPIClass>): this;
+        /** Add a property or method to every request; throws if the name exists */
+        decorateRequest(name: string, value: DecoratorValue<ZyroRequest>): this;
+        /** Add a property or method to every response; throws if the name exists */
+        decorateResponse(name: string, value: DecoratorValue<ZyroResponse>): this;
+        hasDecorator(name: string): boolean;
+        hasRequestDecorator(name: string): boolean;
+        hasResponseDecorator(name: string): boolean;
+
+        /**
+         * Wait until every plugged plugin has finished loading. Rejects with the
+         * load error (which has `code` and `plugin` properties) if a plugin failed
+         */
+        ready(): Promise<this>;
+
         // ============================================================
         // Error Handling
         // ============================================================
@@ -454,12 +1065,57 @@ declare namespace ZyroAPITypes {
          */
         group(prefix: string, callback: (app: ZyroAPIClass) => void): void;
 
+        /**
+         * Group routes with defaults for each of them (version, constraints, deprecation, sunset)
+         * @param prefix - Path prefix for all routes in group
+         * @param options - Route defaults for the group
+         * @param callback - Function to define routes
+         */
+        group(prefix: string, options: GroupOptions, callback: (app: ZyroAPIClass) => void): void;
+
+        /**
+         * Attach a Router, another app or a raw (req, res, next) handler under a prefix.
+         * Apps and handlers see req.url without the prefix (req.baseUrl holds it)
+         */
+        mount(prefix: string, target: Router | ZyroAPIClass | ((req: IncomingMessage, res: ServerResponse, next: (err?: any) => void) => void)): this;
+
+        /**
+         * Send requests whose Host matches `hostname` (e.g. '*.example.com', ':tenant.example.com')
+         * to a Router or another app; the match is exposed as req.vhost
+         */
+        vhost(hostname: string | RegExp, target: Router | ZyroAPIClass): this;
+
+        /**
+         * Serve a directory under a URL prefix (GET and HEAD)
+         * @param prefix - URL prefix, e.g. '/assets'
+         * @param rootDir - Directory to serve
+         * @param options - Static serving options
+         */
+        static(prefix: string, rootDir: string, options?: StaticOptions): this;
+
         /**
          * Create parallel handler that runs multiple async functions concurrently
          * @param handlers - Array of async handler functions
          */
         parallel(handlers: ParallelHandler[]): RouteHandler;
 
+        // ============================================================
+        // Documentation
+        // ============================================================
+
+        /**
+         * Generate an OpenAPI 3.1 document from the registered routes
+         * @param options - Document-level fields (info, servers, components, ...)
+         */
+        openapi(options?: OpenAPIOptions): { [key: string]: any };
+
+        /**
+         * Register routes from an OpenAPI 3 document
+         * @param spec - OpenAPI document
+         * @param handlers - Map of operationId (or 'METHOD /path') to handler, or to [...middleware, handler]
+         */
+        fromOpenAPI(spec: { [key: string]: any }, handlers?: { [operationId: string]: RouteHandler | RouteHandler[] }): this;
+
         // ============================================================
         // Hooks
         // ============================================================
@@ -470,6 +1126,31 @@ declare namespace ZyroAPITypes {
          * @param handler - Hook handler function
          */
         addHook(hookName: HookName, handler: HookHandler): void;
+
+        /**
+         * Add an onRoute hook, called synchronously as each route is registered
+         */
+        addHook(hookName: 'onRoute', handler: (route: RouteRegistration) => void): void;
+
+        // ============================================================
+        // Introspection
+        // ============================================================
+
+        /**
+         * Build the path of a named route, prefixes included; params are URL-encoded
+         * @throws Error with code ROUTE_PARAM_MISSING or ROUTE_NAME_UNKNOWN
+         */
+        url(name: string, params?: { [key: string]: string | number }, query?: { [key: string]: any } | string): string;
+
+        /**
+         * Every registered route, in registration order
+         */
+        routes(): RouteDescription[];
+
+        /**
+         * The route tree as text (find-my-way prettyPrint options are passed through)
+         */
+        printRoutes(options?: { commonPrefix?: boolean; includeMeta?: boolean | string[] }): string;
     }
 }
 
@@ -478,5 +1159,6 @@ declare namespace ZyroAPITypes {
 // ============================================================
 
 declare class ZyroAPI extends ZyroAPITypes.ZyroAPIClass {}
+declare class Router extends ZyroAPITypes.Router {}
 
-export { ZyroAPI };
+export { ZyroAPI, Router };
@@ -0,0 +1,15 @@
+// lib/bytes.js - Human-readable size limits ('100kb', '5mb') to byte counts
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+// Converts a size such as 1024, '100kb' or '1.5mb' to bytes; optionName labels the error
+function parseBytes(value, optionName = 'limit') {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return Math.floor(value);
+    const match = typeof value === 'string' && /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?\s*$/i.exec(value);
+    if (!match) {
+        throw new Error(`Invalid ${optionName} "${value}". Expected a byte count or a string like '100kb' or '5mb'.`);
+    }
+    return Math.floor(parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+module.exports = { parseBytes };
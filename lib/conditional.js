@@ -0,0 +1,129 @@
+// lib/conditional.js - ETags, conditional request (304/412) and byte range helpers
+
+const crypto = require('crypto');
+
+const MAX_RANGES = 16;
+
+// HTTP dates have one-second resolution
+const toSeconds = (time) => Math.floor(time / 1000);
+
+const parseHttpDate = (value) => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+};
+
+// Adds a field to Vary unless it (or '*') is already listed
+const appendVary = (res, field) => {
+    const vary = res.getHeader('Vary');
+    if (!vary) return res.setHeader('Vary', field);
+    const fields = String(vary).split(',').map(value => value.trim().toLowerCase());
+    if (!fields.includes('*') && !fields.includes(field.toLowerCase())) res.setHeader('Vary', `${vary}, ${field}`);
+};
+
+// Weak comparison (RFC 9110 8.8.3.2): W/"x" and "x" are equivalent
+const stripWeak = (tag) => (tag.startsWith('W/') ? tag.slice(2) : tag);
+
+const etagListMatches = (header, etag) => {
+    if (header.trim() === '*') return true;
+    const target = stripWeak(etag);
+    return header.split(',').some(tag => stripWeak(tag.trim()) === target);
+};
+
+// Strong comparison (RFC 9110 8.8.3.2): weak tags never match
+const strongEtagListMatches = (header, etag) => {
+    if (header.trim() === '*') return true;
+    if (etag.startsWith('W/')) return false;
+    return header.split(',').some(tag => tag.trim() === etag);
+};
+
+// ETag from a body: its length plus a truncated SHA-1, W/-prefixed when weak
+function createETag(body, { weak = true } = {}) {
+    const length = Buffer.isBuffer(body) ? body.length : Buffer.byteLength(body);
+    const hash = crypto.createHash('sha1').update(body).digest('base64').slice(0, 27);
+    return `${weak ? 'W/' : ''}"${length.toString(16)}-${hash}"`;
+}
+
+// Whether a GET/HEAD may get 304; If-Modified-Since only counts without If-None-Match
+function isNotModified(headers, { etag, lastModified } = {}) {
+    const ifNoneMatch = headers['if-none-match'];
+    if (ifNoneMatch) return Boolean(etag) && etagListMatches(ifNoneMatch, etag);
+
+    const ifModifiedSince = headers['if-modified-since'];
+    if (ifModifiedSince && lastModified !== undefined) {
+        const since = parseHttpDate(ifModifiedSince);
+        return since !== null && toSeconds(lastModified) <= toSeconds(since);
+    }
+    return false;
+}
+
+// If-Match / If-Unmodified-Since (and If-None-Match for unsafe methods); false means 412. Pass no validators for a missing resource
+function checkPreconditions(method, headers, { etag, lastModified } = {}) {
+    const ifMatch = headers['if-match'];
+    if (ifMatch) {
+        if (!etag || !strongEtagListMatches(ifMatch, etag)) return false;
+    } else if (headers['if-unmodified-since'] && lastModified !== undefined) {
+        const since = parseHttpDate(headers['if-unmodified-since']);
+        if (since !== null && toSeconds(lastModified) > toSeconds(since)) return false;
+    }
+
+    // GET/HEAD use If-None-Match for 304s; elsewhere a match (e.g. "*" on create) is a failure
+    const ifNoneMatch = headers['if-none-match'];
+    if (ifNoneMatch && method !== 'GET' && method !== 'HEAD') {
+        if (etag && etagListMatches(ifNoneMatch, etag)) return false;
+    }
+    return true;
+}
+
+// A mismatched If-Range means the client's partial copy is stale, so the whole file is sent
+function isRangeFresh(headers, { etag, lastModified } = {}) {
+    const ifRange = headers['if-range'];
+    if (!ifRange) return true;
+    if (ifRange.includes('"')) {
+        // If-Range requires the strong comparison
+        return Boolean(etag) && !etag.startsWith('W/') && ifRange.trim() === etag;
+    }
+    const date = parseHttpDate(ifRange);
+    return date !== null && lastModified !== undefined && toSeconds(lastModified) === toSeconds(date);
+}
+
+// Parses 'Range: bytes=...' into merged inclusive ranges; null to ignore the header, -1 when nothing is satisfiable
+function parseRange(size, header) {
+    if (typeof header !== 'string') return null;
+    const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+    if (!match) return null;
+
+    const ranges = [];
+    for (const spec of match[1].split(',')) {
+        const part = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+        if (!part || (part[1] === '' && part[2] === '')) return null;
+
+        let start;
+        let end;
+        if (part[1] === '') {
+            // Suffix range: the last N bytes
+            const suffix = Number(part[2]);
+            if (suffix === 0) continue;
+            start = Math.max(0, size - suffix);
+            end = size - 1;
+        } else {
+            start = Number(part[1]);
+            end = part[2] === '' ? size - 1 : Math.min(Number(part[2]), size - 1);
+            if (part[2] !== '' && Number(part[2]) < start) return null;
+        }
+        if (start >= size) continue;
+        ranges.push({ start, end });
+    }
+    if (ranges.length === 0) return -1;
+
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [ranges[0]];
+    for (const range of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+        else merged.push(range);
+    }
+    // Many disjoint ranges cost more than they save; serve the whole file instead
+    return merged.length > MAX_RANGES ? null : merged;
+}
+
+module.exports = { createETag, isNotModified, checkPreconditions, isRangeFresh, parseRange, parseHttpDate, appendVary };
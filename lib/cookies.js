@@ -0,0 +1,98 @@
+// lib/cookies.js - Cookie header parsing, Set-Cookie serialization and HMAC signing
+
+const crypto = require('crypto');
+
+// RFC 6265 cookie-name is an RFC 7230 token
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+// Attribute values (domain, path) may not contain control characters or ';'
+const ATTRIBUTE_VALUE = /^[ -:<-~]*$/;
+const SIGNED_PREFIX = 's:';
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+const decode = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+// Parses a Cookie header into a null-prototype map; the first occurrence of a name wins
+function parseCookies(header) {
+    const cookies = Object.create(null);
+    if (!header) return cookies;
+
+    for (const pair of String(header).split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator === -1) continue;
+        const name = pair.slice(0, separator).trim();
+        if (!name || cookies[name] !== undefined) continue;
+        let value = pair.slice(separator + 1).trim();
+        if (value.length >= 2 && value[0] === '"' && value[value.length - 1] === '"') value = value.slice(1, -1);
+        cookies[name] = decode(value);
+    }
+    return cookies;
+}
+
+// Builds a Set-Cookie value (maxAge in ms, expires, httpOnly, secure, sameSite, domain, path, partitioned)
+function serializeCookie(name, value, options = {}) {
+    if (!COOKIE_NAME.test(name)) throw new TypeError(`Invalid cookie name "${name}"`);
+
+    let cookie = `${name}=${encodeURIComponent(value)}`;
+
+    if (options.maxAge !== undefined && options.maxAge !== null) {
+        const maxAge = Number(options.maxAge);
+        if (!Number.isFinite(maxAge)) throw new TypeError(`Invalid cookie maxAge "${options.maxAge}"`);
+        cookie += `; Max-Age=${Math.floor(maxAge / 1000)}`;
+        cookie += `; Expires=${new Date(Date.now() + maxAge).toUTCString()}`;
+    } else if (options.expires) {
+        const expires = options.expires instanceof Date ? options.expires : new Date(options.expires);
+        if (Number.isNaN(expires.getTime())) throw new TypeError(`Invalid cookie expires "${options.expires}"`);
+        cookie += `; Expires=${expires.toUTCString()}`;
+    }
+
+    for (const attribute of ['domain', 'path']) {
+        if (options[attribute] === undefined || options[attribute] === null) continue;
+        if (!ATTRIBUTE_VALUE.test(options[attribute])) throw new TypeError(`Invalid cookie ${attribute} "${options[attribute]}"`);
+        cookie += `; ${attribute === 'domain' ? 'Domain' : 'Path'}=${options[attribute]}`;
+    }
+
+    if (options.httpOnly) cookie += '; HttpOnly';
+    if (options.secure) cookie += '; Secure';
+    if (options.partitioned) cookie += '; Partitioned';
+
+    if (options.sameSite !== undefined && options.sameSite !== false) {
+        const sameSite = options.sameSite === true ? 'Strict' : SAME_SITE[String(options.sameSite).toLowerCase()];
+        if (!sameSite) throw new TypeError(`Invalid cookie sameSite "${options.sameSite}"`);
+        cookie += `; SameSite=${sameSite}`;
+    }
+
+    return cookie;
+}
+
+// --- Signing ---
+const hmac = (value, secret) => crypto.createHmac('sha256', secret).update(value).digest('base64').replace(/=+$/, '');
+
+// Signs as 's:<value>.<hmac>' with the first (current) secret
+function signCookie(value, secrets) {
+    return `${SIGNED_PREFIX}${value}.${hmac(value, secrets[0])}`;
+}
+
+// Tries every secret so rotated-out ones still verify; false when none matches
+function unsignCookie(signed, secrets) {
+    if (typeof signed !== 'string' || !signed.startsWith(SIGNED_PREFIX)) return false;
+    const dot = signed.lastIndexOf('.');
+    if (dot <= SIGNED_PREFIX.length - 1) return false;
+
+    const value = signed.slice(SIGNED_PREFIX.length, dot);
+    const signature = Buffer.from(signed.slice(dot + 1));
+    for (const secret of secrets) {
+        const expected = Buffer.from(hmac(value, secret));
+        if (expected.length === signature.length && crypto.timingSafeEqual(expected, signature)) return value;
+    }
+    return false;
+}
+
+const isSigned = (value) => typeof value === 'string' && value.startsWith(SIGNED_PREFIX);
+
+module.exports = { parseCookies, serializeCookie, signCookie, unsignCookie, isSigned };
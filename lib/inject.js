@@ -0,0 +1,140 @@
+// lib/inject.js - In-process request injection (no socket, no listening server)
+
+// --- Core Node Modules ---
+const http = require('http');
+const { Writable } = require('stream');
+
+// --- Null Socket Factory ---
+// ServerResponse needs a writable connection to flush into. This one discards the
+// raw HTTP bytes; the payload is captured from res.write/res.end instead.
+const createNullSocket = (remoteAddress, encrypted) => {
+    const socket = new Writable({
+        write(chunk, encoding, callback) { callback(); }
+    });
+    socket.remoteAddress = remoteAddress;
+    socket.remotePort = 0;
+    socket.encrypted = encrypted;
+    socket.setTimeout = () => socket;
+    socket.setNoDelay = () => socket;
+    socket.setKeepAlive = () => socket;
+    // Normally wired up by http.Server; without it piped streams stall on backpressure
+    socket.on('drain', () => {
+        if (socket._httpMessage) socket._httpMessage.emit('drain');
+    });
+    return socket;
+};
+
+// --- Payload Normalizer ---
+const normalizePayload = (payload, headers) => {
+    if (payload === undefined || payload === null) return null;
+    if (Buffer.isBuffer(payload)) return payload;
+    if (typeof payload === 'object') {
+        if (!headers['content-type']) headers['content-type'] = 'application/json';
+        return Buffer.from(JSON.stringify(payload));
+    }
+    return Buffer.from(String(payload));
+};
+
+const toBuffer = (chunk, encoding) => {
+    if (Buffer.isBuffer(chunk)) return chunk;
+    if (chunk instanceof Uint8Array) return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    return Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+};
+
+// --- Fake Request Factory ---
+function createRequest(socket, options) {
+    const req = new http.IncomingMessage(socket);
+    const headers = {};
+    for (const [key, value] of Object.entries(options.headers || {})) {
+        if (value !== undefined) headers[key.toLowerCase()] = value;
+    }
+    if (!headers.host) headers.host = 'localhost:80';
+    if (!headers['user-agent']) headers['user-agent'] = 'zyroapi-inject';
+
+    const body = normalizePayload(options.payload, headers);
+    if (body && headers['content-length'] === undefined && headers['transfer-encoding'] === undefined) {
+        headers['content-length'] = String(body.length);
+    }
+
+    req.method = String(options.method || 'GET').toUpperCase();
+    req.url = options.url || '/';
+    req.httpVersion = '1.1';
+    req.httpVersionMajor = 1;
+    req.httpVersionMinor = 1;
+    req.headers = headers;
+    req.rawHeaders = Object.entries(headers).flatMap(([key, value]) => [key, String(value)]);
+
+    if (body) req.push(body);
+    req.push(null);
+    req.complete = true;
+    return req;
+}
+
+// Runs a fake request through the app's full pipeline; resolves when the response finishes, rejects (ECONNRESET) if it is cut off
+function inject(app, options = {}) {
+    if (typeof options === 'string') options = { url: options };
+    if (options.url !== undefined && typeof options.url !== 'string') {
+        return Promise.reject(new TypeError('inject() url must be a string'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const socket = createNullSocket(options.remoteAddress || '127.0.0.1', options.secure === true);
+        let req;
+        try {
+            req = createRequest(socket, options);
+        } catch (requestError) {
+            return reject(requestError);
+        }
+
+        const res = new http.ServerResponse(req);
+        res.assignSocket(socket);
+
+        const chunks = [];
+        const originalWrite = res.write;
+        const originalEnd = res.end;
+        res.write = function(chunk, encoding, callback) {
+            if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') {
+                chunks.push(toBuffer(chunk, encoding));
+            }
+            return originalWrite.call(this, chunk, encoding, callback);
+        };
+        res.end = function(chunk, encoding, callback) {
+            if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') {
+                chunks.push(toBuffer(chunk, encoding));
+            }
+            return originalEnd.call(this, chunk, encoding, callback);
+        };
+
+        let finished = false;
+        res.once('finish', () => {
+            finished = true;
+            const rawPayload = req.method === 'HEAD' ? Buffer.alloc(0) : Buffer.concat(chunks);
+            const body = rawPayload.toString('utf8');
+            res.detachSocket(socket);
+            resolve({
+                statusCode: res.statusCode,
+                statusMessage: res.statusMessage,
+                headers: { ...res.getHeaders() },
+                body,
+                rawPayload,
+                json() { return JSON.parse(body); }
+            });
+        });
+
+        // The app destroys the socket when a response fails after its headers went out
+        // (handler error, route timeout, stream error); a real client sees a reset
+        res.once('close', () => {
+            if (finished) return;
+            const err = new Error(`Response to ${req.method} ${req.url} was closed before it finished`);
+            err.code = 'ECONNRESET';
+            err.statusCode = res.statusCode;
+            err.headers = { ...res.getHeaders() };
+            err.rawPayload = Buffer.concat(chunks);
+            reject(err);
+        });
+
+        Promise.resolve(app._handleRequest(req, res)).catch(reject);
+    });
+}
+
+module.exports = { inject };
@@ -0,0 +1,239 @@
+// lib/openapi.js - OpenAPI 3.1 document generation and contract-first route import
+
+const { resolvePointer } = require('./validator');
+
+const OPENAPI_VERSION = '3.1.0';
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// --- Path Conversion ---
+// find-my-way syntax (/users/:id, /files/*, /:id(^\d+)) -> OpenAPI syntax (/users/{id}, /files/{wildcard})
+const convertPath = (routePath) => {
+    const params = [];
+    let converted = '';
+    let i = 0;
+
+    while (i < routePath.length) {
+        const char = routePath[i];
+        if (char === ':' && routePath[i + 1] === ':') {
+            converted += ':';
+            i += 2;
+        } else if (char === ':') {
+            let name = '';
+            i++;
+            while (i < routePath.length && /[\w$]/.test(routePath[i])) name += routePath[i++];
+            let pattern;
+            if (routePath[i] === '(') {
+                let depth = 0;
+                let regex = '';
+                for (; i < routePath.length; i++) {
+                    if (routePath[i] === '(' && routePath[i - 1] !== '\\') depth++;
+                    if (routePath[i] === ')' && routePath[i - 1] !== '\\') depth--;
+                    regex += routePath[i];
+                    if (depth === 0) { i++; break; }
+                }
+                pattern = regex.slice(1, -1);
+            }
+            params.push({ name, pattern });
+            converted += `{${name}}`;
+        } else if (char === '*') {
+            params.push({ name: 'wildcard', wildcard: true });
+            converted += '{wildcard}';
+            i++;
+        } else {
+            converted += char;
+            i++;
+        }
+    }
+    return { path: converted, params };
+};
+
+// Bare `{ name: schema }` maps are accepted by route schemas; OpenAPI needs the properties
+const objectProperties = (definition, lowerCaseKeys = false) => {
+    if (!definition || typeof definition !== 'object') return { properties: {}, required: [] };
+    const isObjectSchema = definition.type === 'object' || definition.properties;
+    const properties = isObjectSchema ? (definition.properties || {}) : definition;
+    const required = isObjectSchema ? (definition.required || []) : [];
+    if (!lowerCaseKeys) return { properties, required };
+    const lowered = {};
+    for (const [key, value] of Object.entries(properties)) lowered[key.toLowerCase()] = value;
+    return { properties: lowered, required: required.map(key => key.toLowerCase()) };
+};
+
+const buildParameters = (schema, pathParams) => {
+    const parameters = [];
+    const paramSchemas = objectProperties(schema.params).properties;
+
+    for (const param of pathParams) {
+        const paramSchema = paramSchemas[param.wildcard ? '*' : param.name] || { type: 'string' };
+        parameters.push({
+            name: param.name,
+            in: 'path',
+            required: true,
+            schema: param.pattern && !paramSchema.pattern ? { ...paramSchema, pattern: param.pattern } : paramSchema,
+        });
+    }
+
+    for (const [part, location] of [['querystring', 'query'], ['headers', 'header']]) {
+        if (!schema[part]) continue;
+        const { properties, required } = objectProperties(schema[part], part === 'headers');
+        for (const [name, propSchema] of Object.entries(properties)) {
+            const parameter = { name, in: location, required: required.includes(name), schema: propSchema };
+            if (propSchema && propSchema.description) parameter.description = propSchema.description;
+            parameters.push(parameter);
+        }
+    }
+    return parameters;
+};
+
+const buildResponses = (responseSchemas) => {
+    if (!responseSchemas) return { 200: { description: 'Default Response' } };
+
+    const responses = {};
+    for (const [key, schema] of Object.entries(responseSchemas)) {
+        const statusKey = /^[1-5]xx$/i.test(key) ? key.toUpperCase() : key;
+        const description = (schema && schema.description) || (key === 'default' ? 'Default Response' : `Response ${statusKey}`);
+        responses[statusKey] = {
+            description,
+            content: { 'application/json': { schema } },
+        };
+    }
+    return responses;
+};
+
+// Builds an OpenAPI 3.1 document from the registered routes; options supply info, servers, tags, components and security
+function generateOpenAPI(routes, options = {}) {
+    const document = {
+        openapi: OPENAPI_VERSION,
+        info: { title: 'ZyroAPI Application', version: '1.0.0', ...(options.info || {}) },
+    };
+    if (options.servers) document.servers = options.servers;
+    if (options.tags) document.tags = options.tags;
+    if (options.security) document.security = options.security;
+    document.paths = {};
+
+    for (const route of routes) {
+        const routeOptions = route.options || {};
+        if (routeOptions.hide) continue;
+
+        const schema = routeOptions.schema || {};
+        const { path, params } = convertPath(route.path);
+        const operation = {};
+
+        if (routeOptions.operationId) operation.operationId = routeOptions.operationId;
+        if (routeOptions.summary) operation.summary = routeOptions.summary;
+        if (routeOptions.description) operation.description = routeOptions.description;
+        if (routeOptions.tags) operation.tags = [].concat(routeOptions.tags);
+        if (routeOptions.deprecated || (routeOptions.deprecation !== undefined && routeOptions.deprecation !== false)) operation.deprecated = true;
+        if (routeOptions.security) operation.security = routeOptions.security;
+
+        const parameters = buildParameters(schema, params);
+        if (parameters.length > 0) operation.parameters = parameters;
+
+        if (schema.body) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: schema.body } },
+            };
+        }
+        operation.responses = buildResponses(schema.response);
+
+        document.paths[path] = document.paths[path] || {};
+        document.paths[path][route.method.toLowerCase()] = operation;
+    }
+
+    if (options.components) document.components = options.components;
+    return document;
+}
+
+// --- Contract-First Import ---
+
+// Inlines local $refs so route schemas compile on their own. Recursive references
+// cannot be inlined and are replaced with an empty (accept-anything) schema.
+const dereference = (node, spec, stack = []) => {
+    if (Array.isArray(node)) return node.map(item => dereference(item, spec, stack));
+    if (node === null || typeof node !== 'object') return node;
+    if (typeof node.$ref === 'string') {
+        if (stack.includes(node.$ref)) return {};
+        return dereference(resolvePointer(spec, node.$ref), spec, [...stack, node.$ref]);
+    }
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) copy[key] = dereference(value, spec, stack);
+    return copy;
+};
+
+// OpenAPI path templates (/users/{id}) -> find-my-way syntax (/users/:id)
+const toRoutePath = (openapiPath) => openapiPath
+    .replace(/:/g, '::')
+    .replace(/\{([^}]+)\}/g, (match, name) => `:${name}`);
+
+const findJsonContent = (content = {}) => {
+    const mediaType = Object.keys(content).find(type => type === 'application/json' || /\+json$/.test(type));
+    return mediaType ? content[mediaType] : null;
+};
+
+const buildRequestSchema = (parameters, requestBody) => {
+    const schema = {};
+    const locations = { path: 'params', query: 'querystring', header: 'headers' };
+
+    for (const parameter of parameters) {
+        const part = locations[parameter.in];
+        if (!part) continue;
+        schema[part] = schema[part] || { type: 'object', properties: {}, required: [] };
+        schema[part].properties[parameter.name] = parameter.schema || findJsonContent(parameter.content)?.schema || {};
+        if (parameter.required || parameter.in === 'path') schema[part].required.push(parameter.name);
+    }
+
+    const bodyContent = requestBody && findJsonContent(requestBody.content);
+    if (bodyContent && bodyContent.schema) schema.body = bodyContent.schema;
+    return schema;
+};
+
+// Lists the route (method, path, options) each operation of an OpenAPI 3 document becomes
+function readOpenAPIOperations(spec) {
+    if (!spec || typeof spec !== 'object' || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+        throw new Error('fromOpenAPI() expects an OpenAPI 3.x document (missing or unsupported "openapi" version).');
+    }
+    if (!spec.paths || typeof spec.paths !== 'object') {
+        throw new Error('fromOpenAPI() expects the OpenAPI document to have a "paths" object.');
+    }
+
+    const operations = [];
+    for (const [openapiPath, rawPathItem] of Object.entries(spec.paths)) {
+        const pathItem = dereference(rawPathItem, spec);
+        const sharedParameters = pathItem.parameters || [];
+
+        for (const method of OPERATION_METHODS) {
+            const operation = pathItem[method];
+            if (!operation) continue;
+
+            // Operation-level parameters override path-level ones with the same name and location
+            const merged = new Map();
+            for (const parameter of [...sharedParameters, ...(operation.parameters || [])]) {
+                merged.set(`${parameter.in}:${parameter.name}`, parameter);
+            }
+            const parameters = [...merged.values()];
+
+            const options = {
+                schema: buildRequestSchema(parameters, operation.requestBody),
+                validation: {
+                    coerceQuerystring: true,
+                    bodyRequired: operation.requestBody?.required === true,
+                },
+            };
+            for (const key of ['operationId', 'summary', 'description', 'tags', 'deprecated', 'security']) {
+                if (operation[key] !== undefined) options[key] = operation[key];
+            }
+
+            operations.push({
+                method: method.toUpperCase(),
+                path: toRoutePath(openapiPath),
+                openapiPath,
+                operationId: operation.operationId,
+                options,
+            });
+        }
+    }
+    return operations;
+}
+
+module.exports = { generateOpenAPI, convertPath, readOpenAPIOperations };
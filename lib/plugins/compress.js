@@ -0,0 +1,147 @@
+// lib/plugins/compress.js - Response compression (br, gzip, deflate)
+
+const zlib = require('zlib');
+const accepts = require('accepts');
+const { Plugin } = require('./basePlugin');
+const { parseBytes } = require('../bytes');
+const { appendVary } = require('../conditional');
+
+// Text-like types compress well; images, video, archives etc. are already compressed
+const COMPRESSIBLE_TYPE = /^text\/|[/+](json|xml|javascript|ecmascript)(\s*;|$)|^application\/(wasm|graphql|x-www-form-urlencoded|ya?ml|x-ya?ml)(\s*;|$)|^image\/(svg\+xml|x-icon|bmp)(\s*;|$)|^font\/(ttf|otf)(\s*;|$)/i;
+const SUPPORTED_ENCODINGS = ['br', 'gzip', 'deflate'];
+
+class CompressPlugin extends Plugin {
+    constructor(options = {}) {
+        const defaultOptions = {
+            threshold: '1kb',
+            encodings: SUPPORTED_ENCODINGS,
+            level: zlib.constants.Z_DEFAULT_COMPRESSION,
+            brotliQuality: 4,
+            filter: null,
+        };
+        super({ ...defaultOptions, ...options });
+        this.threshold = parseBytes(this.options.threshold, 'threshold');
+        const unknown = this.options.encodings.filter(encoding => !SUPPORTED_ENCODINGS.includes(encoding));
+        if (unknown.length > 0) {
+            throw new Error(`Unsupported compression encoding(s): ${unknown.join(', ')}. Expected ${SUPPORTED_ENCODINGS.join(', ')}.`);
+        }
+    }
+
+    // Attaches the middleware; plug it before routes and plugins that write responses
+    load(app) {
+        this.app = app;
+        app.attach(this.compressMiddleware.bind(this));
+        this.log.debug(`Compressing responses over ${this.threshold} bytes (${this.options.encodings.join(', ')})`);
+    }
+
+    // Whether a response may be compressed, judged from its status and headers
+    shouldCompress(req, res, statusCode) {
+        if (req.method === 'HEAD' || statusCode < 200 || statusCode === 204 || statusCode === 304) return false;
+        if (res.getHeader('Content-Encoding') || res.getHeader('Content-Range')) return false;
+        if (/(?:^|,)\s*no-transform\s*(?:,|$)/i.test(String(res.getHeader('Cache-Control') || ''))) return false;
+        if (typeof this.options.filter === 'function') return Boolean(this.options.filter(req, res));
+        return COMPRESSIBLE_TYPE.test(String(res.getHeader('Content-Type') || ''));
+    }
+
+    createEncoder(encoding, length) {
+        if (encoding === 'br') {
+            const params = { [zlib.constants.BROTLI_PARAM_QUALITY]: this.options.brotliQuality };
+            if (length) params[zlib.constants.BROTLI_PARAM_SIZE_HINT] = length;
+            return zlib.createBrotliCompress({ params });
+        }
+        if (encoding === 'gzip') return zlib.createGzip({ level: this.options.level });
+        return zlib.createDeflate({ level: this.options.level });
+    }
+
+    // Wraps writeHead/write/end so the body goes through an encoder once the headers show it is worth compressing
+    compressMiddleware(req, res, next) {
+        const plugin = this;
+        const originalWriteHead = res.writeHead;
+        const originalWrite = res.write;
+        const originalEnd = res.end;
+        let encoder = null;
+        let emptyBody = false;
+
+        const start = (statusCode) => {
+            if (emptyBody || !plugin.shouldCompress(req, res, statusCode)) return;
+            appendVary(res, 'Accept-Encoding');
+
+            const lengthHeader = res.getHeader('Content-Length');
+            const length = lengthHeader === undefined ? undefined : Number(lengthHeader);
+            if (length !== undefined && length < plugin.threshold) return;
+
+            const encoding = accepts(req).encoding([...plugin.options.encodings, 'identity']);
+            if (!encoding || encoding === 'identity') return;
+
+            encoder = plugin.createEncoder(encoding, length);
+            res.removeHeader('Content-Length');
+            res.setHeader('Content-Encoding', encoding);
+            // The encoded bytes differ from the ones the tag was made for, so it can only be weak
+            const etag = res.getHeader('ETag');
+            if (etag && !String(etag).startsWith('W/')) res.setHeader('ETag', `W/${etag}`);
+
+            encoder.on('data', (chunk) => {
+                if (originalWrite.call(res, chunk) === false) encoder.pause();
+            });
+            res.on('drain', () => encoder.resume());
+            encoder.on('drain', () => res.emit('drain'));
+            encoder.on('end', () => originalEnd.call(res));
+            encoder.on('error', (err) => {
+                req.log.error(`Compression failed: ${err.message}`);
+                if (res.socket && !res.socket.destroyed) res.socket.destroy();
+            });
+        };
+
+        res.writeHead = function (statusCode, ...rest) {
+            if (!this.headersSent) {
+                // Fold a headers argument in first so the decision sees every header
+                const last = rest[rest.length - 1];
+                const headers = last && typeof last === 'object' && !Array.isArray(last) ? rest.pop() : null;
+                if (headers) {
+                    for (const [name, value] of Object.entries(headers)) this.setHeader(name, value);
+                }
+                start(statusCode);
+            }
+            return originalWriteHead.call(this, statusCode, ...rest);
+        };
+
+        res.write = function (chunk, encoding, callback) {
+            if (!this.headersSent) this.writeHead(this.statusCode);
+            return encoder ? encoder.write(chunk, encoding, callback) : originalWrite.call(this, chunk, encoding, callback);
+        };
+
+        res.end = function (chunk, encoding, callback) {
+            if (typeof chunk === 'function') {
+                callback = chunk;
+                chunk = undefined;
+            } else if (typeof encoding === 'function') {
+                callback = encoding;
+                encoding = undefined;
+            }
+            if (!this.headersSent) {
+                // The whole body is in hand: its size decides against the threshold
+                if (chunk === undefined || chunk === null) {
+                    emptyBody = true;
+                } else if (this.getHeader('Content-Length') === undefined) {
+                    this.setHeader('Content-Length', Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, encoding));
+                }
+                this.writeHead(this.statusCode);
+            }
+            if (!encoder) return originalEnd.call(this, chunk, encoding, callback);
+            // The real end() runs once the encoder flushes; mark the response done now
+            this._neo_finished = true;
+            if (callback) this.once('finish', callback);
+            if (chunk !== undefined && chunk !== null) encoder.end(chunk, encoding);
+            else encoder.end();
+            return this;
+        };
+
+        next();
+    }
+
+    unload() {
+        this.app = null;
+    }
+}
+
+module.exports = { CompressPlugin };
@@ -0,0 +1,353 @@
+// lib/plugins/multipart.js - Streaming multipart/form-data parser
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Writable, PassThrough } = require('stream');
+const { Plugin } = require('./basePlugin');
+const { parseBytes } = require('../bytes');
+
+const MAX_PART_HEADER_SIZE = 16 * 1024;
+const EMPTY = Buffer.alloc(0);
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// --- Error Helpers ---
+const createError = (statusCode, code, message) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    err.code = code;
+    return err;
+};
+
+const malformed = (message) => createError(400, 'MALFORMED_MULTIPART', message);
+
+// --- Header Parsing ---
+const getBoundary = (contentType = '') => {
+    const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+    return match ? (match[1] || match[2]) : null;
+};
+
+const parsePartHeaders = (raw) => {
+    const headers = {};
+    for (const line of raw.split('\r\n')) {
+        const separator = line.indexOf(':');
+        if (separator <= 0) continue;
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+    return headers;
+};
+
+const parseDisposition = (header) => {
+    if (!header) return null;
+    const [type] = header.split(';');
+    const params = {};
+    const paramRegex = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+    let match;
+    while ((match = paramRegex.exec(header)) !== null) {
+        const key = match[1].toLowerCase();
+        let value = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+        if (key.endsWith('*')) {
+            // RFC 5987: filename*=UTF-8''na%C3%AFve.txt
+            const encoded = /^[\w-]+'[\w-]*'(.*)$/.exec(value);
+            try { value = decodeURIComponent(encoded ? encoded[1] : value); } catch (e) { /* keep raw value */ }
+            params[key.slice(0, -1)] = value;
+            continue;
+        }
+        if (params[key] === undefined) params[key] = value;
+    }
+    return { type: type.trim().toLowerCase(), params };
+};
+
+// --- Streaming Parser ---
+// Splits the body on the boundary and reports parts through async callbacks, so
+// slow destinations (disk, user streams) apply backpressure to the request.
+class MultipartParser extends Writable {
+    constructor(boundary, handlers) {
+        super();
+        this.delimiter = Buffer.from(`\r\n--${boundary}`);
+        // Leading CRLF lets the first boundary match the same delimiter as the rest
+        this.buffer = CRLF;
+        this.state = 'preamble';
+        this.handlers = handlers;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+        this._process().then(() => callback(), callback);
+    }
+
+    _final(callback) {
+        callback(this.state === 'end' ? null : malformed('Unexpected end of multipart body'));
+    }
+
+    async _process() {
+        const { delimiter } = this;
+        for (;;) {
+            if (this.state === 'preamble') {
+                const index = this.buffer.indexOf(delimiter);
+                if (index === -1) {
+                    this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - delimiter.length + 1));
+                    return;
+                }
+                this.buffer = this.buffer.subarray(index + delimiter.length);
+                this.state = 'boundary';
+            } else if (this.state === 'boundary') {
+                if (this.buffer.length < 2) return;
+                if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+                    this.state = 'end';
+                    this.buffer = EMPTY;
+                    return;
+                }
+                const lineEnd = this.buffer.indexOf(CRLF);
+                if (lineEnd === -1) {
+                    if (this.buffer.length > 1024) throw malformed('Invalid boundary line');
+                    return;
+                }
+                if (this.buffer.toString('latin1', 0, lineEnd).trim() !== '') throw malformed('Invalid boundary line');
+                this.buffer = this.buffer.subarray(lineEnd + 2);
+                this.state = 'headers';
+            } else if (this.state === 'headers') {
+                let headers;
+                if (this.buffer.length >= 2 && this.buffer[0] === 0x0d && this.buffer[1] === 0x0a) {
+                    headers = {};
+                    this.buffer = this.buffer.subarray(2);
+                } else {
+                    const end = this.buffer.indexOf(HEADER_END);
+                    if (end === -1) {
+                        if (this.buffer.length > MAX_PART_HEADER_SIZE) throw malformed('Part headers too large');
+                        return;
+                    }
+                    headers = parsePartHeaders(this.buffer.toString('utf8', 0, end));
+                    this.buffer = this.buffer.subarray(end + HEADER_END.length);
+                }
+                this.state = 'body';
+                await this.handlers.onPartBegin(headers);
+            } else if (this.state === 'body') {
+                const index = this.buffer.indexOf(delimiter);
+                if (index === -1) {
+                    // Hold back enough bytes to catch a delimiter split across chunks
+                    const safeLength = this.buffer.length - delimiter.length + 1;
+                    if (safeLength > 0) {
+                        const data = this.buffer.subarray(0, safeLength);
+                        this.buffer = this.buffer.subarray(safeLength);
+                        await this.handlers.onPartData(data);
+                    }
+                    return;
+                }
+                if (index > 0) await this.handlers.onPartData(this.buffer.subarray(0, index));
+                this.buffer = this.buffer.subarray(index + delimiter.length);
+                this.state = 'boundary';
+                await this.handlers.onPartEnd();
+            } else {
+                // Epilogue after the closing boundary is ignored
+                this.buffer = EMPTY;
+                return;
+            }
+        }
+    }
+}
+
+class MultipartPlugin extends Plugin {
+    constructor(options = {}) {
+        const defaultLimits = {
+            fileSize: '10mb',
+            files: 10,
+            fields: 100,
+            fieldSize: '100kb',
+            totalSize: '50mb',
+        };
+        super({
+            tmpDir: os.tmpdir(),
+            onFile: null,
+            cleanup: true,
+            ...options,
+            limits: { ...defaultLimits, ...(options.limits || {}) },
+        });
+
+        const { limits } = this.options;
+        this.limits = {
+            fileSize: parseBytes(limits.fileSize, 'limits.fileSize'),
+            files: limits.files,
+            fields: limits.fields,
+            fieldSize: parseBytes(limits.fieldSize, 'limits.fieldSize'),
+            totalSize: parseBytes(limits.totalSize, 'limits.totalSize'),
+        };
+        if (this.options.onFile !== null && typeof this.options.onFile !== 'function') {
+            throw new Error('Multipart "onFile" option must be a function.');
+        }
+    }
+
+    // Attaches the parser globally; requests that are not multipart/form-data pass through
+    load(app) {
+        this.app = app;
+        app.attach(this.multipartParser.bind(this));
+        this.log.debug(`Parsing multipart/form-data (file size limit ${this.limits.fileSize} bytes, ${this.options.onFile ? 'custom stream handler' : `temp dir ${this.options.tmpDir}`})`);
+    }
+
+    // Parses multipart bodies into req.body and req.files; the returned promise settles once next() has run
+    multipartParser(req, res, next) {
+        if (req.body !== undefined || !req.is('multipart/form-data')) return next();
+
+        const boundary = getBoundary(req.headers['content-type']);
+        if (!boundary) return next(malformed('Missing multipart boundary'));
+
+        // A route's bodyLimit option overrides limits.totalSize
+        const bodyLimit = req.routeOptions?.bodyLimit;
+        const limits = bodyLimit === undefined ? this.limits : { ...this.limits, totalSize: bodyLimit };
+        const contentLength = Number(req.headers['content-length']);
+        if (contentLength > limits.totalSize) {
+            return next(createError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds the ${limits.totalSize} byte limit`));
+        }
+
+        const { onFile, tmpDir } = this.options;
+        const fields = Object.create(null);
+        const files = [];
+        const tempPaths = [];
+        const pending = [];
+        let fieldCount = 0;
+        let received = 0;
+        let current = null;
+        let done = false;
+        let settle;
+        const settled = new Promise(resolve => { settle = resolve; });
+
+        const removeTempFiles = () => {
+            for (const tempPath of tempPaths) fs.unlink(tempPath, () => {});
+            tempPaths.length = 0;
+        };
+
+        const fail = (err) => {
+            if (done) return;
+            done = true;
+            req.unpipe(parser);
+            parser.destroy();
+            if (current && current.stream) current.stream.destroy();
+            removeTempFiles();
+            req.resume();
+            next(err);
+            settle();
+        };
+
+        const addField = (name, value) => {
+            if (fields[name] === undefined) fields[name] = value;
+            else if (Array.isArray(fields[name])) fields[name].push(value);
+            else fields[name] = [fields[name], value];
+        };
+
+        const startFile = (fieldName, filename, mimeType) => {
+            if (files.length >= limits.files) {
+                throw createError(413, 'TOO_MANY_FILES', `Too many files (limit ${limits.files})`);
+            }
+            const file = { fieldName, filename: path.basename(filename), mimeType, size: 0 };
+            files.push(file);
+
+            let stream;
+            let completion;
+            if (onFile) {
+                stream = new PassThrough();
+                completion = Promise.resolve()
+                    .then(() => onFile(stream, file, req))
+                    .then(result => { if (result !== undefined) file.result = result; });
+            } else {
+                file.path = path.join(tmpDir, `zyroapi-upload-${crypto.randomUUID()}`);
+                tempPaths.push(file.path);
+                stream = fs.createWriteStream(file.path);
+                completion = once(stream, 'close');
+                stream.once('error', fail);
+            }
+            pending.push(completion.catch(fail));
+            return { kind: 'file', file, stream };
+        };
+
+        const handlers = {
+            onPartBegin: (headers) => {
+                if (done) return;
+                const disposition = parseDisposition(headers['content-disposition']);
+                if (!disposition || disposition.type !== 'form-data' || !disposition.params.name) {
+                    current = { kind: 'skip' };
+                    return;
+                }
+                const { name, filename } = disposition.params;
+                if (filename === undefined) {
+                    if (++fieldCount > limits.fields) {
+                        throw createError(413, 'TOO_MANY_FIELDS', `Too many fields (limit ${limits.fields})`);
+                    }
+                    current = { kind: 'field', name, chunks: [], size: 0 };
+                } else if (filename === '') {
+                    // Empty file input: browsers still send a part, with no content
+                    current = { kind: 'skip' };
+                } else {
+                    current = startFile(name, filename, headers['content-type'] || 'application/octet-stream');
+                }
+            },
+            onPartData: async (chunk) => {
+                if (done || !current) return;
+                if (current.kind === 'field') {
+                    current.size += chunk.length;
+                    if (current.size > limits.fieldSize) {
+                        throw createError(413, 'FIELD_TOO_LARGE', `Field "${current.name}" exceeds the ${limits.fieldSize} byte limit`);
+                    }
+                    current.chunks.push(chunk);
+                } else if (current.kind === 'file') {
+                    current.file.size += chunk.length;
+                    if (current.file.size > limits.fileSize) {
+                        throw createError(413, 'FILE_TOO_LARGE', `File "${current.file.filename}" exceeds the ${limits.fileSize} byte limit`);
+                    }
+                    if (!current.stream.write(chunk)) await once(current.stream, 'drain');
+                }
+            },
+            onPartEnd: () => {
+                if (done || !current) return;
+                if (current.kind === 'field') {
+                    addField(current.name, Buffer.concat(current.chunks).toString('utf8'));
+                } else if (current.kind === 'file') {
+                    current.stream.end();
+                }
+                current = null;
+            },
+        };
+
+        const parser = new MultipartParser(boundary, handlers);
+        parser.once('error', fail);
+        parser.once('finish', async () => {
+            await Promise.all(pending);
+            if (done) return;
+            done = true;
+            req.body = fields;
+            req.files = files;
+            next();
+            settle();
+        });
+
+        req.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > limits.totalSize) {
+                fail(createError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds the ${limits.totalSize} byte limit`));
+            }
+        });
+        req.once('error', fail);
+        req.once('aborted', () => fail(createError(400, 'REQUEST_ABORTED', 'Request aborted')));
+
+        if (this.options.cleanup && !onFile) {
+            const cleanupOnce = () => {
+                res.removeListener('finish', cleanupOnce);
+                res.removeListener('close', cleanupOnce);
+                removeTempFiles();
+            };
+            res.once('finish', cleanupOnce);
+            res.once('close', cleanupOnce);
+        }
+
+        req.pipe(parser);
+        return settled;
+    }
+
+    unload() {
+        this.app = null;
+    }
+}
+
+module.exports = { MultipartPlugin, MultipartParser };
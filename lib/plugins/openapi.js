@@ -0,0 +1,40 @@
+// lib/plugins/openapi.js - Serves the generated OpenAPI document
+
+const { Plugin } = require('./basePlugin');
+
+class OpenAPIPlugin extends Plugin {
+    constructor(options = {}) {
+        const defaultOptions = {
+            path: '/openapi.json',
+            info: undefined,
+            servers: undefined,
+            tags: undefined,
+            components: undefined,
+            security: undefined,
+        };
+        super({ ...defaultOptions, ...options });
+        this.document = null;
+    }
+
+    // Registers the document route; the document is built on first request, so routes added later are included
+    load(app) {
+        this.app = app;
+        const { path, ...documentOptions } = this.options;
+
+        app.get(path, { hide: true }, (req, res) => {
+            if (!this.document) {
+                this.document = app.openapi(documentOptions);
+            }
+            res.json(this.document);
+        });
+
+        this.log.debug(`Serving OpenAPI document at ${path}`);
+    }
+
+    unload() {
+        this.document = null;
+        this.app = null;
+    }
+}
+
+module.exports = { OpenAPIPlugin };
@@ -0,0 +1,183 @@
+// lib/plugins/session.js - Cookie-based sessions with pluggable stores
+
+const crypto = require('crypto');
+const { Plugin } = require('./basePlugin');
+const { MemoryStore, FileStore } = require('./sessionStores');
+
+const generateId = () => crypto.randomBytes(24).toString('base64url');
+
+// Per-request bookkeeping kept off the session object so it never reaches the store
+const STATE = Symbol('sessionState');
+
+// req.session: own enumerable properties are the data; the methods live on the prototype and are never stored
+class Session {
+    constructor(id, data, state) {
+        Object.defineProperty(this, 'id', { value: id, writable: true, enumerable: false });
+        Object.defineProperty(this, STATE, { value: state, enumerable: false });
+        Object.assign(this, data);
+    }
+
+    // Replaces the session with an empty one under a new id (use after login)
+    async regenerate() {
+        const state = this[STATE];
+        await state.store.destroy(this.id);
+        for (const key of Object.keys(this)) delete this[key];
+        this.id = generateId();
+        state.req.sessionID = this.id;
+        state.regenerated = true;
+        state.destroyed = false;
+        return this;
+    }
+
+    // Removes the session from the store and clears the cookie
+    async destroy() {
+        const state = this[STATE];
+        await state.store.destroy(this.id);
+        for (const key of Object.keys(this)) delete this[key];
+        state.destroyed = true;
+    }
+
+    // Persists the session now instead of waiting for the response
+    async save() {
+        const state = this[STATE];
+        await state.store.set(this.id, this.toJSON(), state.ttl);
+        state.snapshot = JSON.stringify(this);
+        state.stored = true;
+    }
+
+    // Extends the session's expiry in the store without changing its data
+    async touch() {
+        const state = this[STATE];
+        if (typeof state.store.touch === 'function') await state.store.touch(this.id, this.toJSON(), state.ttl);
+        else await state.store.set(this.id, this.toJSON(), state.ttl);
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+}
+
+class SessionPlugin extends Plugin {
+    constructor(options = {}) {
+        const defaultOptions = {
+            cookieName: 'zyro.sid',
+            store: null,
+            ttl: 24 * 60 * 60 * 1000,
+            rolling: false,
+            touch: true,
+            saveUninitialized: false,
+            signed: undefined,
+        };
+        super({ ...defaultOptions, ...options });
+        this.cookieOptions = { path: '/', httpOnly: true, sameSite: 'lax', ...(options.cookie || {}) };
+        this.store = this.options.store || new MemoryStore();
+
+        for (const method of ['get', 'set', 'destroy']) {
+            if (typeof this.store[method] !== 'function') {
+                throw new Error(`Session store is missing required method "${method}(...)".`);
+            }
+        }
+    }
+
+    // Attaches the session middleware; ids are signed when the app has a cookieSecret (or with signed: true)
+    load(app) {
+        this.app = app;
+        this.signed = this.options.signed ?? app._cookieSecrets.length > 0;
+        if (this.signed && app._cookieSecrets.length === 0) {
+            throw new Error('Session plugin option "signed" requires the "cookieSecret" app option.');
+        }
+        app.attach(this.sessionMiddleware.bind(this));
+        this.log.debug(`Sessions enabled (cookie "${this.options.cookieName}", store ${this.store.constructor.name})`);
+    }
+
+    // Loads req.session and arranges for it to be saved as the response ends
+    async sessionMiddleware(req, res, next) {
+        if (req.session) return next();
+
+        const { cookieName, ttl } = this.options;
+        const rawId = this.signed ? req.signedCookies[cookieName] : req.cookies[cookieName];
+        const data = rawId ? await this.store.get(rawId) : null;
+
+        const state = {
+            req,
+            store: this.store,
+            ttl,
+            isNew: !data,
+            hadCookie: Boolean(rawId),
+            regenerated: false,
+            destroyed: false,
+            stored: Boolean(data),
+            snapshot: JSON.stringify(data || {}),
+        };
+        const session = new Session(data ? rawId : generateId(), data || {}, state);
+        req.session = session;
+        req.sessionID = session.id;
+
+        this._wrapResponse(req, res, session, state);
+        next();
+    }
+
+    _isModified(session, state) {
+        return JSON.stringify(session) !== state.snapshot;
+    }
+
+    _shouldStore(session, state) {
+        return this._isModified(session, state) || state.regenerated ||
+            (state.isNew && this.options.saveUninitialized);
+    }
+
+    _wrapResponse(req, res, session, state) {
+        const plugin = this;
+        const { cookieName, ttl, rolling } = this.options;
+
+        // The cookie is decided once, while headers can still change and before saving updates the snapshot
+        let cookieDecided = false;
+        const applyCookie = (response) => {
+            if (cookieDecided || response.headersSent) return;
+            cookieDecided = true;
+            if (state.destroyed) {
+                if (state.hadCookie) response.clearCookie(cookieName, plugin.cookieOptions);
+            } else if ((rolling && !(state.isNew && !plugin._shouldStore(session, state))) || state.regenerated || (state.isNew && plugin._shouldStore(session, state))) {
+                response.cookie(cookieName, session.id, { ...plugin.cookieOptions, maxAge: ttl, signed: plugin.signed });
+            }
+        };
+
+        const originalWriteHead = res.writeHead;
+        res.writeHead = function (...args) {
+            applyCookie(this);
+            return originalWriteHead.apply(this, args);
+        };
+
+        // Start saving as the response ends; end() itself runs right away so Content-Length and writableEnded are unchanged
+        const originalEnd = res.end;
+        let ending = false;
+        res.end = function (...args) {
+            applyCookie(this);
+            if (!ending) {
+                ending = true;
+                plugin._persist(session, state)
+                    .catch(err => req.log.error(`Failed to save session ${session.id}: ${err.message}`));
+            }
+            return originalEnd.apply(this, args);
+        };
+    }
+
+    async _persist(session, state) {
+        if (state.destroyed) return;
+        if (this._shouldStore(session, state)) {
+            await session.save();
+        } else if (state.stored && this.options.touch) {
+            await session.touch();
+        }
+    }
+
+    unload() {
+        if (typeof this.store.close === 'function') this.store.close();
+        this.app = null;
+    }
+}
+
+SessionPlugin.MemoryStore = MemoryStore;
+SessionPlugin.FileStore = FileStore;
+
+module.exports = { SessionPlugin, Session, MemoryStore, FileStore };
@@ -0,0 +1,152 @@
+// lib/plugins/sessionStores.js - Built-in session stores (memory, file system)
+//
+// Store interface (all methods return promises):
+//   get(id)              -> session data object, or null when missing/expired
+//   set(id, data, ttl)   -> persist data for ttl milliseconds
+//   destroy(id)          -> remove the session
+//   touch(id, data, ttl) -> (optional) extend expiry without changing data
+//   close()              -> (optional) release timers/connections on app shutdown
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Session ids are generated by the plugin; anything else is rejected before touching the disk
+const SAFE_ID = /^[\w-]{16,128}$/;
+
+class MemoryStore {
+    // options.sweepInterval: how often expired sessions are purged, in ms (default 60000)
+    constructor(options = {}) {
+        this.sessions = new Map();
+        const sweepInterval = options.sweepInterval ?? 60000;
+        this.timer = sweepInterval > 0 ? setInterval(() => this.sweep(), sweepInterval) : null;
+        if (this.timer) this.timer.unref();
+    }
+
+    async get(id) {
+        const entry = this.sessions.get(id);
+        if (!entry) return null;
+        if (entry.expires <= Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        // Stored as JSON so handlers cannot mutate the stored copy by reference
+        return JSON.parse(entry.data);
+    }
+
+    async set(id, data, ttl) {
+        this.sessions.set(id, { data: JSON.stringify(data), expires: Date.now() + ttl });
+    }
+
+    async touch(id, data, ttl) {
+        const entry = this.sessions.get(id);
+        if (entry) entry.expires = Date.now() + ttl;
+    }
+
+    async destroy(id) {
+        this.sessions.delete(id);
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [id, entry] of this.sessions) {
+            if (entry.expires <= now) this.sessions.delete(id);
+        }
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    close() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+class FileStore {
+    // options.dir holds one JSON file per session (default <tmpdir>/zyroapi-sessions); options.sweepInterval in ms (default 3600000)
+    constructor(options = {}) {
+        this.dir = path.resolve(options.dir || path.join(os.tmpdir(), 'zyroapi-sessions'));
+        this.ready = null;
+        const sweepInterval = options.sweepInterval ?? 3600000;
+        this.timer = sweepInterval > 0 ? setInterval(() => this.sweep().catch(() => {}), sweepInterval) : null;
+        if (this.timer) this.timer.unref();
+    }
+
+    _file(id) {
+        if (!SAFE_ID.test(id)) throw new Error(`Invalid session id "${id}"`);
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    _ensureDir() {
+        if (!this.ready) this.ready = fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+        return this.ready;
+    }
+
+    async _read(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT' || err instanceof SyntaxError) return null;
+            throw err;
+        }
+    }
+
+    async get(id) {
+        if (!SAFE_ID.test(id)) return null;
+        const file = this._file(id);
+        const entry = await this._read(file);
+        if (!entry) return null;
+        if (entry.expires <= Date.now()) {
+            await this.destroy(id);
+            return null;
+        }
+        return entry.data;
+    }
+
+    async set(id, data, ttl) {
+        await this._ensureDir();
+        const file = this._file(id);
+        // Write then rename so concurrent readers never see a partial file
+        const tempFile = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify({ data, expires: Date.now() + ttl }), { mode: 0o600 });
+        await fs.rename(tempFile, file);
+    }
+
+    async touch(id, data, ttl) {
+        await this.set(id, data, ttl);
+    }
+
+    async destroy(id) {
+        if (!SAFE_ID.test(id)) return;
+        await fs.unlink(this._file(id)).catch(err => {
+            if (err.code !== 'ENOENT') throw err;
+        });
+    }
+
+    async sweep() {
+        let names;
+        try {
+            names = await fs.readdir(this.dir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+        const now = Date.now();
+        for (const name of names) {
+            if (!name.endsWith('.json')) continue;
+            const file = path.join(this.dir, name);
+            const entry = await this._read(file);
+            if (entry && entry.expires <= now) await fs.unlink(file).catch(() => {});
+        }
+    }
+
+    close() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = { MemoryStore, FileStore };
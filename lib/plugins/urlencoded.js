@@ -0,0 +1,94 @@
+// lib/plugins/urlencoded.js - application/x-www-form-urlencoded body parser
+
+const { Plugin } = require('./basePlugin');
+const { parseBytes } = require('../bytes');
+const querystring = require('../querystring');
+
+const createError = (statusCode, code, message) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    err.code = code;
+    return err;
+};
+
+class UrlencodedPlugin extends Plugin {
+    constructor(options = {}) {
+        const defaultOptions = {
+            limit: '100kb',
+            extended: true,
+            depth: 5,
+            parameterLimit: 1000,
+        };
+        super({ ...defaultOptions, ...options });
+        this.limit = parseBytes(this.options.limit);
+    }
+
+    // Attaches the parser as global middleware
+    load(app) {
+        this.app = app;
+        app.attach(this.urlencodedParser.bind(this));
+        this.log.debug(`Parsing urlencoded bodies (limit ${this.limit} bytes, ${this.options.extended ? `nesting depth ${this.options.depth}` : 'flat keys'})`);
+    }
+
+    // Reads the body (up to `limit`) and parses it into req.body
+    urlencodedParser(req, res, next) {
+        if (req.body !== undefined || !req.is('application/x-www-form-urlencoded')) return next();
+
+        const charset = /;\s*charset=["']?([^"';\s]+)/i.exec(req.headers['content-type'] || '');
+        if (charset && !/^utf-?8$/i.test(charset[1])) {
+            return next(createError(415, 'UNSUPPORTED_CHARSET', `Unsupported charset "${charset[1]}"`));
+        }
+
+        // A route's bodyLimit option overrides the plugin-wide limit
+        const limit = req.routeOptions?.bodyLimit ?? this.limit;
+        if (Number(req.headers['content-length']) > limit) {
+            return next(createError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds the ${limit} byte limit`));
+        }
+
+        return new Promise((resolve) => {
+            const chunks = [];
+            let size = 0;
+            let done = false;
+
+            const finish = (err) => {
+                if (done) return;
+                done = true;
+                req.removeListener('data', onData);
+                next(err);
+                resolve();
+            };
+
+            const onData = (chunk) => {
+                size += chunk.length;
+                if (size > limit) {
+                    req.resume();
+                    return finish(createError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds the ${limit} byte limit`));
+                }
+                chunks.push(chunk);
+            };
+
+            req.on('data', onData);
+            req.once('error', finish);
+            req.once('end', () => {
+                if (done) return;
+                try {
+                    req.body = querystring.parse(Buffer.concat(chunks).toString('utf8'), {
+                        nested: this.options.extended,
+                        depth: this.options.depth,
+                        parameterLimit: this.options.parameterLimit,
+                    });
+                } catch (parseError) {
+                    if (parseError.code === 'TOO_MANY_PARAMETERS') parseError.statusCode = 413;
+                    return finish(parseError);
+                }
+                finish();
+            });
+        });
+    }
+
+    unload() {
+        this.app = null;
+    }
+}
+
+module.exports = { UrlencodedPlugin };
@@ -0,0 +1,119 @@
+// lib/querystring.js - Query string / form body parsing with bracket nesting
+
+// Numeric indices above this build objects instead of (sparse) arrays
+const ARRAY_LIMIT = 20;
+const INDEX_KEY = /^\d+$/;
+const ARRAY_MARK = Symbol('arrayCandidate');
+
+const createError = (statusCode, code, message) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    err.code = code;
+    return err;
+};
+
+const decode = (text) => {
+    const spaced = text.replace(/\+/g, ' ');
+    try {
+        return decodeURIComponent(spaced);
+    } catch (e) {
+        return spaced;
+    }
+};
+
+// 'user[address][city]' -> ['user', 'address', 'city']; 'tags[]' -> ['tags', '']
+// Keys that are not well-formed bracket expressions are used literally.
+const splitKey = (key) => {
+    const open = key.indexOf('[');
+    if (open <= 0) return [key];
+
+    const segments = [key.slice(0, open)];
+    const segmentRegex = /\[([^[\]]*)\]/y;
+    segmentRegex.lastIndex = open;
+    let match;
+    while ((match = segmentRegex.exec(key)) !== null) {
+        segments.push(match[1]);
+        if (segmentRegex.lastIndex === key.length) return segments;
+    }
+    return [key];
+};
+
+const createContainer = () => {
+    const container = Object.create(null);
+    container[ARRAY_MARK] = true;
+    return container;
+};
+
+const isContainer = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const addValue = (target, key, value) => {
+    if (target[key] === undefined) target[key] = value;
+    else if (Array.isArray(target[key])) target[key].push(value);
+    else if (isContainer(target[key])) target[key][Object.keys(target[key]).length] = value;
+    else target[key] = [target[key], value];
+};
+
+const assign = (root, segments, value) => {
+    let container = root;
+    for (let i = 0; i < segments.length - 1; i++) {
+        let segment = segments[i];
+        if (segment === '' && i > 0) {
+            // `a[][b]=1` starts a new array element
+            segment = String(Object.keys(container).length);
+            container[segment] = createContainer();
+        } else if (!isContainer(container[segment])) {
+            container[segment] = createContainer();
+        }
+        container = container[segment];
+        if (!INDEX_KEY.test(segments[i + 1]) && segments[i + 1] !== '') container[ARRAY_MARK] = false;
+    }
+
+    const last = segments[segments.length - 1];
+    if (last === '' && segments.length > 1) container[Object.keys(container).length] = value;
+    else addValue(container, last, value);
+};
+
+// Containers whose keys are all small indices become dense arrays
+const finalize = (node) => {
+    if (!isContainer(node)) return node;
+    const keys = Object.keys(node);
+    for (const key of keys) node[key] = finalize(node[key]);
+
+    if (node[ARRAY_MARK] && keys.length > 0 && keys.every(key => INDEX_KEY.test(key) && Number(key) <= ARRAY_LIMIT)) {
+        return keys.sort((a, b) => a - b).map(key => node[key]);
+    }
+    delete node[ARRAY_MARK];
+    return node;
+};
+
+// Parses 'a=1&a=2&user[name]=x' into { a: ['1', '2'], user: { name: 'x' } } (options: nested, depth, parameterLimit)
+function parse(input, options = {}) {
+    const { nested = true, depth = 5, parameterLimit = 1000 } = options;
+    const result = createContainer();
+    result[ARRAY_MARK] = false;
+    if (!input) return finalize(result);
+
+    const pairs = input.split('&');
+    let count = 0;
+    for (const pair of pairs) {
+        if (pair === '') continue;
+        if (++count > parameterLimit) {
+            throw createError(400, 'TOO_MANY_PARAMETERS', `Too many parameters (limit ${parameterLimit})`);
+        }
+
+        const separator = pair.indexOf('=');
+        const key = decode(separator === -1 ? pair : pair.slice(0, separator));
+        const value = separator === -1 ? '' : decode(pair.slice(separator + 1));
+        if (key === '') continue;
+
+        const segments = nested ? splitKey(key) : [key];
+        if (segments.length - 1 > depth) {
+            throw createError(400, 'DEPTH_EXCEEDED', `Parameter "${key}" exceeds the nesting depth of ${depth}`);
+        }
+        if (segments.length === 1) addValue(result, key, value);
+        else assign(result, segments, value);
+    }
+    return finalize(result);
+}
+
+module.exports = { parse };
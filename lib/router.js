@@ -0,0 +1,61 @@
+// lib/router.js - Mountable route collections for app.mount()
+
+// Methods registered for mounted apps and handlers, which take every request under their prefix
+const ROUTE_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+// Records routes, middleware and nested routers until app.mount(prefix, router) replays them into a scope of their own
+class Router {
+    constructor() {
+        // Calls in the order they were made, replayed onto the app on mount
+        this._entries = [];
+    }
+
+    _route(method, path, args) {
+        if (typeof path !== 'string') {
+            throw new Error(`Route path must be a string, got ${typeof path}`);
+        }
+        this._entries.push({ type: 'route', method, path, args });
+        return this;
+    }
+
+    get(path, ...args) { return this._route('GET', path, args); }
+    post(path, ...args) { return this._route('POST', path, args); }
+    put(path, ...args) { return this._route('PUT', path, args); }
+    patch(path, ...args) { return this._route('PATCH', path, args); }
+    delete(path, ...args) { return this._route('DELETE', path, args); }
+    options(path, ...args) { return this._route('OPTIONS', path, args); }
+    head(path, ...args) { return this._route('HEAD', path, args); }
+
+    // Middleware for this router's routes (and nested routers') only
+    attach(...middlewareFns) {
+        const fns = middlewareFns.flat();
+        for (const fn of fns) {
+            if (typeof fn !== 'function') {
+                throw new Error('Middleware provided to attach() must be a function!');
+            }
+        }
+        this._entries.push({ type: 'attach', fns });
+        return this;
+    }
+
+    // Nests a router, app or (req, res) handler under a prefix
+    mount(prefix, target) {
+        if (typeof prefix !== 'string') {
+            throw new Error('Mount prefix must be a string');
+        }
+        this._entries.push({ type: 'mount', prefix, target });
+        return this;
+    }
+
+    // Replays the recorded calls onto an app or scope
+    applyTo(app) {
+        for (const entry of this._entries) {
+            if (entry.type === 'route') app._addRoute(entry.method, entry.path, ...entry.args);
+            else if (entry.type === 'attach') app.attach(entry.fns);
+            else app.mount(entry.prefix, entry.target);
+        }
+        return app;
+    }
+}
+
+module.exports = { Router, ROUTE_METHODS };
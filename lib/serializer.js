@@ -0,0 +1,198 @@
+// lib/serializer.js - Schema-compiled JSON serialization for route responses
+
+const { resolvePointer } = require('./validator');
+
+// --- Helpers ---
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+// Flattens allOf object branches into one schema so their properties can be serialized together
+const mergeAllOf = (schema, ctx) => {
+    const merged = { ...schema, properties: { ...(schema.properties || {}) } };
+    delete merged.allOf;
+    for (let sub of schema.allOf) {
+        if (sub && sub.$ref) sub = resolvePointer(ctx.root, sub.$ref);
+        if (sub && sub.allOf) sub = mergeAllOf(sub, ctx);
+        if (!sub || typeof sub !== 'object') continue;
+        Object.assign(merged.properties, sub.properties || {});
+        if (sub.additionalProperties !== undefined && merged.additionalProperties === undefined) {
+            merged.additionalProperties = sub.additionalProperties;
+        }
+        if (!merged.type && sub.type) merged.type = sub.type;
+    }
+    return merged;
+};
+
+const stringifyString = (value) => {
+    if (value instanceof Date) return JSON.stringify(value);
+    return JSON.stringify(typeof value === 'string' ? value : String(value));
+};
+
+const stringifyNumber = (value, integer) => {
+    const number = integer ? Math.trunc(Number(value)) : Number(value);
+    return Number.isFinite(number) ? String(number) : 'null';
+};
+
+// --- Serializer Compiler ---
+function compileNode(schema, ctx) {
+    if (schema === undefined || schema === true || schema === null || typeof schema !== 'object') {
+        return (value) => JSON.stringify(value);
+    }
+
+    if (schema.$ref) {
+        const ref = schema.$ref;
+        return (value) => {
+            if (!ctx.refs.has(ref)) {
+                ctx.refs.set(ref, null);
+                ctx.refs.set(ref, compileNode(resolvePointer(ctx.root, ref), ctx));
+            }
+            return ctx.refs.get(ref)(value);
+        };
+    }
+
+    if (schema.allOf) return compileNode(mergeAllOf(schema, ctx), ctx);
+
+    // anyOf/oneOf cannot be resolved without validating every branch; fall back to plain JSON
+    if (schema.anyOf || schema.oneOf) return (value) => JSON.stringify(value);
+
+    let types = schema.type === undefined ? [] : [].concat(schema.type);
+    if (types.length === 0) {
+        if (schema.properties || schema.additionalProperties !== undefined) types = ['object'];
+        else if (schema.items) types = ['array'];
+    }
+    if (schema.nullable === true && !types.includes('null')) types.push('null');
+    if (types.length === 0) return (value) => JSON.stringify(value);
+
+    const serializers = {};
+    for (const type of types) serializers[type] = compileType(type, schema, ctx);
+
+    if (types.length === 1) {
+        const serialize = serializers[types[0]];
+        return (value) => (value === null && types[0] !== 'null' ? 'null' : serialize(value));
+    }
+
+    return (value) => {
+        const actual = typeOf(value);
+        if (serializers[actual]) return serializers[actual](value);
+        if (actual === 'integer' && serializers.number) return serializers.number(value);
+        if (value === null) return 'null';
+        return JSON.stringify(value);
+    };
+}
+
+function compileType(type, schema, ctx) {
+    switch (type) {
+        case 'string': return stringifyString;
+        case 'integer': return (value) => stringifyNumber(value, true);
+        case 'number': return (value) => stringifyNumber(value, false);
+        case 'boolean': return (value) => (value ? 'true' : 'false');
+        case 'null': return () => 'null';
+        case 'array': return compileArray(schema, ctx);
+        case 'object': return compileObject(schema, ctx);
+        default: throw new Error(`Unknown schema type "${type}"`);
+    }
+}
+
+function compileArray(schema, ctx) {
+    const tuple = (schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null) || []).map(item => compileNode(item, ctx));
+    const items = schema.items && !Array.isArray(schema.items) ? compileNode(schema.items, ctx) : (value) => JSON.stringify(value);
+
+    return (value) => {
+        if (!Array.isArray(value)) {
+            if (value && typeof value.toJSON === 'function') value = value.toJSON();
+            if (!Array.isArray(value)) return '[]';
+        }
+        let json = '[';
+        for (let i = 0; i < value.length; i++) {
+            if (i > 0) json += ',';
+            const serialize = i < tuple.length ? tuple[i] : items;
+            const item = value[i];
+            json += item === undefined || typeof item === 'function' ? 'null' : serialize(item);
+        }
+        return json + ']';
+    };
+}
+
+function compileObject(schema, ctx) {
+    const properties = Object.entries(schema.properties || {}).map(([key, propSchema]) => [key, JSON.stringify(key) + ':', compileNode(propSchema, ctx)]);
+    const known = new Set(Object.keys(schema.properties || {}));
+    const additional = schema.additionalProperties;
+    const additionalSerializer = additional === undefined || additional === false
+        ? null
+        : (additional === true ? (value) => JSON.stringify(value) : compileNode(additional, ctx));
+    const patterns = Object.entries(schema.patternProperties || {}).map(([source, propSchema]) => [new RegExp(source, 'u'), compileNode(propSchema, ctx)]);
+
+    return (value) => {
+        if (value && typeof value.toJSON === 'function' && !(value instanceof Date)) value = value.toJSON();
+        if (value === null || typeof value !== 'object') return '{}';
+
+        let json = '{';
+        let first = true;
+        for (const [key, prefix, serialize] of properties) {
+            const propValue = value[key];
+            if (propValue === undefined || typeof propValue === 'function') continue;
+            json += (first ? '' : ',') + prefix + serialize(propValue);
+            first = false;
+        }
+        if (additionalSerializer || patterns.length > 0) {
+            for (const key of Object.keys(value)) {
+                if (known.has(key)) continue;
+                const propValue = value[key];
+                if (propValue === undefined || typeof propValue === 'function') continue;
+                const pattern = patterns.find(([regex]) => regex.test(key));
+                const serialize = pattern ? pattern[1] : additionalSerializer;
+                if (!serialize) continue;
+                json += (first ? '' : ',') + JSON.stringify(key) + ':' + serialize(propValue);
+                first = false;
+            }
+        }
+        return json + '}';
+    };
+}
+
+// Compiles a JSON Schema into a stringify function; undeclared properties are dropped unless additionalProperties allows them
+function compileSerializer(schema, options = {}) {
+    const ctx = { root: options.root || schema, refs: new Map() };
+    return compileNode(schema, ctx);
+}
+
+// --- Route Response Support ---
+
+// Compiles schema.response (status codes, '2xx' ranges, 'default'); null when there are none
+function compileResponseSerializers(responseSchemas, routeLabel) {
+    if (!responseSchemas || typeof responseSchemas !== 'object') return null;
+
+    const serializers = { exact: new Map(), ranges: new Map(), fallback: null };
+    for (const [key, schema] of Object.entries(responseSchemas)) {
+        let serialize;
+        try {
+            serialize = compileSerializer(schema);
+        } catch (compileError) {
+            throw new Error(`Invalid response schema "${key}" for route ${routeLabel}: ${compileError.message}`);
+        }
+        if (key === 'default') {
+            serializers.fallback = serialize;
+        } else if (/^[1-5]xx$/i.test(key)) {
+            serializers.ranges.set(key[0], serialize);
+        } else if (/^\d{3}$/.test(key)) {
+            serializers.exact.set(Number(key), serialize);
+        } else {
+            throw new Error(`Invalid response schema key "${key}" for route ${routeLabel}: expected a status code, "2xx"-style range or "default"`);
+        }
+    }
+    return serializers;
+}
+
+// Exact status code first, then its range, then default
+function getResponseSerializer(serializers, statusCode) {
+    if (!serializers) return null;
+    return serializers.exact.get(statusCode) ||
+        serializers.ranges.get(String(statusCode)[0]) ||
+        serializers.fallback;
+}
+
+module.exports = { compileSerializer, compileResponseSerializers, getResponseSerializer };
@@ -0,0 +1,133 @@
+// lib/static.js - Directory serving for app.static()
+
+const fs = require('fs').promises;
+const path = require('path');
+const mime = require('mime-types');
+const accepts = require('accepts');
+
+// Precompressed sibling extensions, in server preference order
+const ENCODINGS = [['br', '.br'], ['gzip', '.gz']];
+
+const createError = (statusCode, code, message) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    err.code = code;
+    return err;
+};
+
+const statFile = async (filePath) => {
+    try {
+        return await fs.stat(filePath);
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'ENAMETOOLONG') return null;
+        throw err;
+    }
+};
+
+// Maps the wildcard part of the URL to a file inside root; null when it must be treated as missing (traversal, dotfiles)
+const resolveRequestPath = (root, requestPath, dotfiles) => {
+    if (requestPath.includes('\0')) throw createError(400, 'BAD_REQUEST', 'Invalid path');
+
+    const segments = requestPath.split(/[\\/]+/).filter(Boolean);
+    if (segments.includes('..')) throw createError(403, 'FORBIDDEN', 'Forbidden');
+
+    if (segments.some(segment => segment.startsWith('.'))) {
+        if (dotfiles === 'deny') throw createError(403, 'FORBIDDEN', 'Forbidden');
+        if (dotfiles !== 'allow') return null;
+    }
+
+    const filePath = path.join(root, ...segments);
+    // Belt and braces: the joined path must still be inside root
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        throw createError(403, 'FORBIDDEN', 'Forbidden');
+    }
+    return filePath;
+};
+
+// Route handler for app.static() (options: index, extensions, dotfiles, precompressed, maxAge, immutable, cacheControl, setHeaders)
+function createStaticHandler(rootDir, options = {}) {
+    const root = path.resolve(rootDir);
+    const {
+        index = 'index.html',
+        extensions = [],
+        dotfiles = 'ignore',
+        precompressed = true,
+        maxAge = 0,
+        immutable = false,
+        cacheControl = true,
+        setHeaders,
+    } = options;
+
+    if (!['allow', 'deny', 'ignore'].includes(dotfiles)) {
+        throw new Error(`Invalid static "dotfiles" option "${dotfiles}". Expected 'allow', 'deny' or 'ignore'.`);
+    }
+    if (typeof maxAge !== 'number' || !Number.isFinite(maxAge) || maxAge < 0) {
+        throw new Error('Static "maxAge" option must be a non-negative number of milliseconds.');
+    }
+    const indexFiles = index === false ? [] : [].concat(index);
+    const fallbackExtensions = [].concat(extensions).map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+    const cacheHeader = `public, max-age=${Math.floor(maxAge / 1000)}${immutable ? ', immutable' : ''}`;
+
+    // Finds the file to serve: exact match, directory index, then extension fallbacks
+    const findFile = async (filePath) => {
+        const stat = await statFile(filePath);
+        if (stat && stat.isFile()) return { filePath, stat };
+        if (stat && stat.isDirectory()) {
+            for (const indexFile of indexFiles) {
+                const indexPath = path.join(filePath, indexFile);
+                const indexStat = await statFile(indexPath);
+                if (indexStat && indexStat.isFile()) return { filePath: indexPath, stat: indexStat };
+            }
+            return null;
+        }
+        if (!path.extname(filePath)) {
+            for (const ext of fallbackExtensions) {
+                const candidate = filePath + ext;
+                const candidateStat = await statFile(candidate);
+                if (candidateStat && candidateStat.isFile()) return { filePath: candidate, stat: candidateStat };
+            }
+        }
+        return null;
+    };
+
+    const findPrecompressed = async (req, filePath) => {
+        const available = [];
+        for (const [encoding, ext] of ENCODINGS) {
+            const stat = await statFile(filePath + ext);
+            if (stat && stat.isFile()) available.push({ encoding, filePath: filePath + ext, stat });
+        }
+        if (available.length === 0) return null;
+        const preferred = accepts(req).encodings([...available.map(entry => entry.encoding), 'identity']);
+        return available.find(entry => entry.encoding === preferred) || null;
+    };
+
+    return async function staticHandler(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            throw createError(405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+        }
+
+        const requestPath = resolveRequestPath(root, req.params['*'] || '', dotfiles);
+        const found = requestPath && await findFile(requestPath);
+        if (!found) throw createError(404, 'NOT_FOUND', `Cannot ${req.method} ${req.pathname}`);
+
+        let { filePath, stat } = found;
+        res.setHeader('Content-Type', mime.contentType(path.extname(filePath)) || 'application/octet-stream');
+
+        if (precompressed) {
+            res.setHeader('Vary', 'Accept-Encoding');
+            const variant = await findPrecompressed(req, filePath);
+            if (variant) {
+                res.setHeader('Content-Encoding', variant.encoding);
+                filePath = variant.filePath;
+                stat = variant.stat;
+            }
+        }
+
+        if (cacheControl && !res.getHeader('Cache-Control')) res.setHeader('Cache-Control', cacheHeader);
+        if (typeof setHeaders === 'function') setHeaders(res, filePath, stat);
+
+        res.sendFile(filePath);
+    };
+}
+
+module.exports = { createStaticHandler, resolveRequestPath };
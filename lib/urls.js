@@ -0,0 +1,90 @@
+// lib/urls.js - Reverse routing: builds paths from route patterns for app.url()
+
+const createUrlError = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+// Index just past the regexp that starts at pattern[start] === '(' (find-my-way ':id(^\\d+)')
+const skipRegexp = (pattern, start) => {
+    let depth = 0;
+    for (let i = start; i < pattern.length; i++) {
+        if (pattern[i] === '\\') {
+            i++;
+        } else if (pattern[i] === '(') {
+            depth++;
+        } else if (pattern[i] === ')' && --depth === 0) {
+            return i + 1;
+        }
+    }
+    throw new Error(`Unterminated parameter regexp in route "${pattern}"`);
+};
+
+// Compiles a find-my-way pattern (':id', ':id(^\\d+)', ':from-:to', ':id?', '::', '*') into a function that fills in its params
+function compilePath(pattern) {
+    const parts = [];
+    let literal = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const char = pattern[i];
+        if (char === ':' && pattern[i + 1] === ':') {
+            literal += ':';
+            i += 2;
+        } else if (char === ':') {
+            let end = i + 1;
+            while (end < pattern.length && !'/-.(?'.includes(pattern[end])) end++;
+            const name = pattern.slice(i + 1, end);
+            if (pattern[end] === '(') end = skipRegexp(pattern, end);
+            const optional = pattern[end] === '?';
+            if (optional) end++;
+            parts.push(literal, { name, optional });
+            literal = '';
+            i = end;
+        } else if (char === '*') {
+            parts.push(literal, { name: '*', optional: true, wildcard: true });
+            literal = '';
+            i++;
+        } else {
+            literal += char;
+            i++;
+        }
+    }
+    parts.push(literal);
+
+    return (params, routeName) => {
+        let path = '';
+        for (const part of parts) {
+            if (typeof part === 'string') {
+                path += part;
+                continue;
+            }
+            const value = params[part.name];
+            if (value === undefined || value === null || value === '') {
+                if (part.optional) continue;
+                throw createUrlError('ROUTE_PARAM_MISSING', `Missing param "${part.name}" for route "${routeName}" (${pattern}).`);
+            }
+            // A wildcard may span segments, so its slashes are kept
+            path += part.wildcard
+                ? String(value).split('/').map(encodeURIComponent).join('/')
+                : encodeURIComponent(String(value));
+        }
+        // An omitted optional last param leaves a trailing slash behind
+        return path.length > 1 && path.endsWith('/') && !pattern.endsWith('/') ? path.slice(0, -1) : path;
+    };
+}
+
+// { page: 2, tag: ['a', 'b'] } -> 'page=2&tag=a&tag=b'; null and undefined are left out, a string is used as-is
+function stringifyQuery(query) {
+    if (typeof query === 'string') return query.replace(/^\?/, '');
+    const pairs = [];
+    for (const [key, value] of Object.entries(query || {})) {
+        for (const item of [].concat(value)) {
+            if (item === undefined || item === null) continue;
+            pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(String(item))}`);
+        }
+    }
+    return pairs.join('&');
+}
+
+module.exports = { compilePath, stringifyQuery, createUrlError };
@@ -0,0 +1,395 @@
+// lib/validator.js - Built-in JSON Schema validator (draft 2020-12 subset)
+
+// --- Format Checkers ---
+const FORMATS = {
+    'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    'uri': /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/,
+    'url': /^https?:\/\/[^\s/$.?#].[^\s]*$/i,
+    'uuid': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    'date': /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    'time': /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)?$/i,
+    'date-time': /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[T ]([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)$/i,
+    'ipv4': /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+    'ipv6': /^(([0-9a-f]{1,4}:){7}[0-9a-f]{1,4}|(([0-9a-f]{1,4}:){0,7}[0-9a-f]{1,4})?::(([0-9a-f]{1,4}:){0,7}[0-9a-f]{1,4})?)$/i,
+    'hostname': /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i,
+};
+
+// --- Helpers ---
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    switch (type) {
+        case 'integer': return typeof value === 'number' && Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'object': return typeOf(value) === 'object';
+        default: return typeOf(value) === type;
+    }
+};
+
+// Converts strings (path params, headers, query values) to the declared scalar type
+const coerceValue = (value, types) => {
+    if (Array.isArray(value)) return value;
+    if (types.includes('array')) return value === undefined ? value : [value];
+    if (typeof value !== 'string') return value;
+    for (const type of types) {
+        if (type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+        if (type === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+        if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+        if (type === 'null' && value === '') return null;
+    }
+    return value;
+};
+
+const isEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+    if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => isEqual(a[key], b[key]));
+};
+
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`);
+
+const pushError = (errors, path, keyword, text) => {
+    errors.push({ path, keyword, message: `${path} ${text}` });
+};
+
+// Resolves a local JSON pointer ("#/components/schemas/User") against the root document
+const resolvePointer = (root, ref) => {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+        throw new Error(`Unsupported $ref "${ref}": only local references are allowed`);
+    }
+    const segments = ref.slice(1).split('/').filter(Boolean)
+        .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+    let target = root;
+    for (const segment of segments) {
+        if (target === null || typeof target !== 'object' || !(segment in target)) {
+            throw new Error(`Cannot resolve $ref "${ref}"`);
+        }
+        target = target[segment];
+    }
+    return target;
+};
+
+// --- Schema Compiler ---
+function compileNode(schema, ctx) {
+    if (schema === true || schema === undefined) return (value) => value;
+    if (schema === false) {
+        return (value, path, errors) => {
+            pushError(errors, path, 'false', 'is not allowed');
+            return value;
+        };
+    }
+    if (typeof schema !== 'object' || schema === null) {
+        throw new Error(`Invalid schema: expected an object or boolean, got ${typeof schema}`);
+    }
+
+    if (schema.$ref) {
+        // Lazy lookup keeps recursive schemas from compiling forever
+        const ref = schema.$ref;
+        return (value, path, errors) => {
+            if (!ctx.refs.has(ref)) {
+                ctx.refs.set(ref, null);
+                ctx.refs.set(ref, compileNode(resolvePointer(ctx.root, ref), ctx));
+            }
+            return ctx.refs.get(ref)(value, path, errors);
+        };
+    }
+
+    const checks = [];
+    const types = schema.type === undefined ? null : [].concat(schema.type);
+    if (schema.nullable === true && types && !types.includes('null')) types.push('null');
+
+    // --- Generic Keywords ---
+    if (schema.enum) {
+        const allowed = schema.enum;
+        checks.push((value, path, errors) => {
+            if (!allowed.some(option => isEqual(option, value))) {
+                pushError(errors, path, 'enum', `must be one of: ${allowed.map(v => JSON.stringify(v)).join(', ')}`);
+            }
+        });
+    }
+    if (schema.const !== undefined) {
+        const expected = schema.const;
+        checks.push((value, path, errors) => {
+            if (!isEqual(expected, value)) pushError(errors, path, 'const', `must be equal to ${JSON.stringify(expected)}`);
+        });
+    }
+
+    // --- String Keywords ---
+    if (schema.minLength !== undefined || schema.maxLength !== undefined || schema.pattern || schema.format) {
+        const pattern = schema.pattern ? new RegExp(schema.pattern, 'u') : null;
+        const format = schema.format ? FORMATS[schema.format] : null;
+        checks.push((value, path, errors) => {
+            if (typeof value !== 'string') return;
+            const length = [...value].length;
+            if (schema.minLength !== undefined && length < schema.minLength) {
+                pushError(errors, path, 'minLength', `must NOT have fewer than ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && length > schema.maxLength) {
+                pushError(errors, path, 'maxLength', `must NOT have more than ${schema.maxLength} characters`);
+            }
+            if (pattern && !pattern.test(value)) {
+                pushError(errors, path, 'pattern', `must match pattern "${schema.pattern}"`);
+            }
+            if (format && !format.test(value)) {
+                pushError(errors, path, 'format', `must match format "${schema.format}"`);
+            }
+        });
+    }
+
+    // --- Numeric Keywords ---
+    if (schema.minimum !== undefined || schema.maximum !== undefined || schema.exclusiveMinimum !== undefined ||
+        schema.exclusiveMaximum !== undefined || schema.multipleOf !== undefined) {
+        checks.push((value, path, errors) => {
+            if (typeof value !== 'number') return;
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                pushError(errors, path, 'minimum', `must be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                pushError(errors, path, 'maximum', `must be <= ${schema.maximum}`);
+            }
+            if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+                pushError(errors, path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+            }
+            if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+                pushError(errors, path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+            }
+            if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+                pushError(errors, path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`);
+            }
+        });
+    }
+
+    // --- Object Keywords ---
+    const properties = schema.properties || null;
+    const required = schema.required || [];
+    const propertyValidators = properties
+        ? Object.entries(properties).map(([key, propSchema]) => [key, compileNode(propSchema, ctx), propSchema])
+        : [];
+    const additional = schema.additionalProperties;
+    const additionalValidator = additional !== undefined && additional !== true && additional !== false
+        ? compileNode(additional, ctx)
+        : null;
+    const patternValidators = schema.patternProperties
+        ? Object.entries(schema.patternProperties).map(([source, propSchema]) => [new RegExp(source, 'u'), compileNode(propSchema, ctx)])
+        : [];
+    const hasObjectKeywords = properties || required.length > 0 || additional !== undefined || patternValidators.length > 0 ||
+        schema.minProperties !== undefined || schema.maxProperties !== undefined;
+
+    if (hasObjectKeywords) {
+        checks.push((value, path, errors) => {
+            if (typeOf(value) !== 'object') return value;
+
+            for (const [key, , propSchema] of propertyValidators) {
+                if (value[key] === undefined && propSchema && propSchema.default !== undefined && ctx.useDefaults) {
+                    value[key] = typeof propSchema.default === 'object' && propSchema.default !== null
+                        ? JSON.parse(JSON.stringify(propSchema.default))
+                        : propSchema.default;
+                }
+            }
+            for (const key of required) {
+                if (value[key] === undefined) pushError(errors, childPath(path, key), 'required', 'is required');
+            }
+            for (const [key, validate] of propertyValidators) {
+                if (value[key] !== undefined) {
+                    const result = validate(value[key], childPath(path, key), errors);
+                    if (result !== value[key]) value[key] = result;
+                }
+            }
+            if (additional !== undefined || patternValidators.length > 0) {
+                for (const key of Object.keys(value)) {
+                    if (properties && Object.prototype.hasOwnProperty.call(properties, key)) continue;
+                    let matchedPattern = false;
+                    for (const [regex, validate] of patternValidators) {
+                        if (regex.test(key)) {
+                            matchedPattern = true;
+                            const result = validate(value[key], childPath(path, key), errors);
+                            if (result !== value[key]) value[key] = result;
+                        }
+                    }
+                    if (matchedPattern) continue;
+                    if (additional === false) {
+                        if (ctx.removeAdditional) delete value[key];
+                        else pushError(errors, childPath(path, key), 'additionalProperties', 'is not an allowed property');
+                    } else if (additionalValidator) {
+                        const result = additionalValidator(value[key], childPath(path, key), errors);
+                        if (result !== value[key]) value[key] = result;
+                    }
+                }
+            }
+            const count = Object.keys(value).length;
+            if (schema.minProperties !== undefined && count < schema.minProperties) {
+                pushError(errors, path, 'minProperties', `must NOT have fewer than ${schema.minProperties} properties`);
+            }
+            if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+                pushError(errors, path, 'maxProperties', `must NOT have more than ${schema.maxProperties} properties`);
+            }
+            return value;
+        });
+    }
+
+    // --- Array Keywords ---
+    const itemsValidator = schema.items !== undefined && !Array.isArray(schema.items) ? compileNode(schema.items, ctx) : null;
+    const tupleValidators = (schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null) || []).map(item => compileNode(item, ctx));
+    if (itemsValidator || tupleValidators.length > 0 || schema.minItems !== undefined || schema.maxItems !== undefined || schema.uniqueItems) {
+        checks.push((value, path, errors) => {
+            if (!Array.isArray(value)) return value;
+            for (let i = 0; i < value.length; i++) {
+                const validate = i < tupleValidators.length ? tupleValidators[i] : itemsValidator;
+                if (!validate) continue;
+                const result = validate(value[i], childPath(path, i), errors);
+                if (result !== value[i]) value[i] = result;
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                pushError(errors, path, 'minItems', `must NOT have fewer than ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                pushError(errors, path, 'maxItems', `must NOT have more than ${schema.maxItems} items`);
+            }
+            if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => isEqual(other, item)) !== i)) {
+                pushError(errors, path, 'uniqueItems', 'must NOT have duplicate items');
+            }
+            return value;
+        });
+    }
+
+    // --- Composition Keywords ---
+    if (schema.allOf) {
+        const validators = schema.allOf.map(sub => compileNode(sub, ctx));
+        checks.push((value, path, errors) => validators.reduce((current, validate) => validate(current, path, errors), value));
+    }
+    if (schema.anyOf || schema.oneOf) {
+        const keyword = schema.anyOf ? 'anyOf' : 'oneOf';
+        const validators = (schema.anyOf || schema.oneOf).map(sub => compileNode(sub, ctx));
+        checks.push((value, path, errors) => {
+            let matches = 0;
+            let matchedValue = value;
+            for (const validate of validators) {
+                const branchErrors = [];
+                const result = validate(value, path, branchErrors);
+                if (branchErrors.length === 0) {
+                    if (matches === 0) matchedValue = result;
+                    matches++;
+                    if (keyword === 'anyOf') break;
+                }
+            }
+            if (matches === 0) pushError(errors, path, keyword, `must match a schema in ${keyword}`);
+            else if (keyword === 'oneOf' && matches > 1) pushError(errors, path, 'oneOf', 'must match exactly one schema in oneOf');
+            return matchedValue;
+        });
+    }
+    if (schema.not !== undefined) {
+        const validate = compileNode(schema.not, ctx);
+        checks.push((value, path, errors) => {
+            const branchErrors = [];
+            validate(value, path, branchErrors);
+            if (branchErrors.length === 0) pushError(errors, path, 'not', 'must NOT be valid against the "not" schema');
+        });
+    }
+
+    return (value, path, errors) => {
+        if (types) {
+            if (ctx.coerceTypes) value = coerceValue(value, types);
+            if (!types.some(type => matchesType(value, type))) {
+                pushError(errors, path, 'type', `must be ${types.join(' or ')}`);
+                return value;
+            }
+        }
+        for (const check of checks) {
+            const result = check(value, path, errors);
+            if (result !== undefined) value = result;
+        }
+        return value;
+    };
+}
+
+// Compiles a JSON Schema into a `(value, rootPath) => { value, errors }` validator (options: coerceTypes, useDefaults, removeAdditional, root)
+function compileSchema(schema, options = {}) {
+    const ctx = {
+        root: options.root || schema,
+        refs: new Map(),
+        coerceTypes: options.coerceTypes === true,
+        useDefaults: options.useDefaults !== false,
+        removeAdditional: options.removeAdditional === true,
+    };
+    const validate = compileNode(schema, ctx);
+
+    return (value, rootPath = 'value') => {
+        const errors = [];
+        if (value === undefined && schema !== true && schema !== undefined) {
+            pushError(errors, rootPath, 'required', 'is required');
+            return { value, errors };
+        }
+        const result = validate(value, rootPath, errors);
+        return { value: result, errors };
+    };
+}
+
+// --- Route Schema Support ---
+const REQUEST_SCHEMA_PARTS = ['params', 'querystring', 'headers', 'body'];
+
+// Accepts either a full object schema or a bare `{ name: schema }` properties map
+const normalizeObjectSchema = (definition, lowerCaseKeys = false) => {
+    let schema = definition;
+    if (schema.type !== 'object' && !schema.properties && !schema.$ref && !schema.allOf && !schema.anyOf && !schema.oneOf) {
+        schema = { type: 'object', properties: definition };
+    }
+    if (!lowerCaseKeys || !schema.properties) return schema;
+    const properties = {};
+    for (const [key, value] of Object.entries(schema.properties)) properties[key.toLowerCase()] = value;
+    return {
+        ...schema,
+        properties,
+        required: schema.required ? schema.required.map(key => key.toLowerCase()) : undefined,
+    };
+};
+
+// Compiles a route's params/querystring/headers/body schemas into a `(req) => errors[]` check that writes coerced values back; null when none are declared
+function compileRequestValidator(schema, routeLabel, options = {}) {
+    if (!schema || typeof schema !== 'object') return null;
+    const bodyRequired = options.bodyRequired !== false;
+
+    const parts = [];
+    for (const part of REQUEST_SCHEMA_PARTS) {
+        if (schema[part] === undefined) continue;
+        try {
+            const definition = part === 'body' ? schema[part] : normalizeObjectSchema(schema[part], part === 'headers');
+            // Path params and headers always arrive as strings
+            const coerceTypes = part === 'params' || part === 'headers' || (part === 'querystring' && options.coerceQuerystring === true);
+            parts.push([part, compileSchema(definition, { coerceTypes })]);
+        } catch (compileError) {
+            throw new Error(`Invalid ${part} schema for route ${routeLabel}: ${compileError.message}`);
+        }
+    }
+    if (parts.length === 0) return null;
+
+    return (req) => {
+        const errors = [];
+        for (const [part, validate] of parts) {
+            const source = part === 'querystring' ? 'query' : part;
+            const target = part === 'body' ? req.body : (req[source] || {});
+            if (part === 'body' && target === undefined && !bodyRequired) continue;
+            const result = validate(target, part);
+            if (result.errors.length > 0) errors.push(...result.errors);
+            else req[source] = result.value;
+        }
+        return errors;
+    };
+}
+
+// The 400 VALIDATION_ERROR handed to _handleError
+function createValidationError(errors) {
+    const err = new Error(errors.map(e => e.message).join(', '));
+    err.statusCode = 400;
+    err.code = 'VALIDATION_ERROR';
+    err.validation = errors;
+    return err;
+}
+
+module.exports = { compileSchema, compileRequestValidator, createValidationError, resolvePointer };
@@ -7,6 +7,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const EventEmitter = require('events');
 const crypto = require('crypto');
+const { Readable } = require('stream');
 
 // --- Dependencies ---
 const FindMyWay = require('find-my-way');
@@ -16,12 +17,30 @@ const logSymbols = require('log-symbols');
 const accepts = require('accepts');
 const typeis = require('type-is');
 
+// --- Internal Modules ---
+const { inject } = require('./inject');
+const { compileRequestValidator, createValidationError } = require('./validator');
+const { compileResponseSerializers, getResponseSerializer } = require('./serializer');
+const { generateOpenAPI, readOpenAPIOperations } = require('./openapi');
+const querystring = require('./querystring');
+const { parseCookies, serializeCookie, signCookie, unsignCookie, isSigned } = require('./cookies');
+const { createStaticHandler } = require('./static');
+const { Router, ROUTE_METHODS } = require('./router');
+const { parseBytes } = require('./bytes');
+const { compilePath, stringifyQuery, createUrlError } = require('./urls');
+const { createETag, isNotModified, checkPreconditions, isRangeFresh, parseRange, parseHttpDate, appendVary } = require('./conditional');
+
 // --- Internal Plugin Loaders ---
-let JsonParserPlugin, CorsPlugin, BasePlugin;
+let JsonParserPlugin, CorsPlugin, BasePlugin, OpenAPIPlugin, MultipartPlugin, UrlencodedPlugin, SessionPlugin, CompressPlugin;
 try {
     JsonParserPlugin = require('./plugins/jsonParser').JsonParserPlugin;
     CorsPlugin = require('./plugins/cors').CorsPlugin;
     BasePlugin = require('./plugins/basePlugin').Plugin;
+    OpenAPIPlugin = require('./plugins/openapi').OpenAPIPlugin;
+    MultipartPlugin = require('./plugins/multipart').MultipartPlugin;
+    UrlencodedPlugin = require('./plugins/urlencoded').UrlencodedPlugin;
+    SessionPlugin = require('./plugins/session').SessionPlugin;
+    CompressPlugin = require('./plugins/compress').CompressPlugin;
 } catch (pluginLoadError) {
     console.error(chalk.redBright(`[NeoAPI Core] FATAL: Could not load essential internal plugins.`));
     console.error(pluginLoadError.stack || pluginLoadError);
@@ -59,6 +78,18 @@ if (!http.IncomingMessage.prototype.is) {
     };
 }
 
+// Throws 412 when If-Match / If-Unmodified-Since rule out the write
+if (!http.IncomingMessage.prototype.checkPreconditions) {
+    http.IncomingMessage.prototype.checkPreconditions = function(validators = {}) {
+        const lastModified = validators.lastModified instanceof Date ? validators.lastModified.getTime() : validators.lastModified;
+        if (checkPreconditions(this.method, this.headers, { etag: validators.etag, lastModified })) return;
+        const err = new Error('Precondition Failed');
+        err.statusCode = 412;
+        err.code = 'PRECONDITION_FAILED';
+        throw err;
+    };
+}
+
 // Lazy logger getter
 if (!http.IncomingMessage.prototype.log) {
     Object.defineProperty(http.IncomingMessage.prototype, 'log', {
@@ -93,6 +124,140 @@ const parseQuery = (searchParams) => {
     return query;
 };
 
+// --- Query Parser Factory ---
+// queryParser option: 'simple' (last value wins), 'extended' (arrays + bracket nesting),
+// { mode: 'extended', depth, parameterLimit } or a custom (queryString) => object function.
+const createQueryParser = (option = 'simple') => {
+    if (typeof option === 'function') return option;
+    const { mode, ...parseOptions } = typeof option === 'string' ? { mode: option } : option;
+    if (mode === 'simple') return (queryString) => parseQuery(new URLSearchParams(queryString));
+    if (mode === 'extended') return (queryString) => querystring.parse(queryString, parseOptions);
+    throw new Error(`Invalid queryParser option "${mode}". Expected 'simple', 'extended' or a function.`);
+};
+
+// --- ETag Generator Factory ---
+// etag option: 'weak' (default), 'strong', false, or a custom (body) => etag function.
+const createETagGenerator = (option = 'weak') => {
+    if (option === false) return null;
+    if (typeof option === 'function') return option;
+    if (option === 'weak' || option === true) return (body) => createETag(body, { weak: true });
+    if (option === 'strong') return (body) => createETag(body, { weak: false });
+    throw new Error(`Invalid etag option "${option}". Expected 'weak', 'strong', false or a function.`);
+};
+
+const createBodyLimitError = (limit) => {
+    const err = new Error(`Request body exceeds the ${limit} byte limit`);
+    err.statusCode = 413;
+    err.code = 'PAYLOAD_TOO_LARGE';
+    return err;
+};
+
+// --- Plugin Lifecycle Helpers ---
+const createPluginError = (code, message, pluginName) => {
+    const err = new Error(message);
+    err.code = code;
+    err.plugin = pluginName;
+    return err;
+};
+
+// Returns the dependency path that leads from `start` back to itself, if any
+const findDependencyCycle = (start, entries) => {
+    const trail = [];
+    const visit = (name) => {
+        if (trail.includes(name)) return name === start ? [...trail, name] : null;
+        const entry = entries.get(name);
+        if (!entry) return null;
+        trail.push(name);
+        for (const dependency of entry.dependencies) {
+            const cycle = visit(dependency);
+            if (cycle) return cycle;
+        }
+        trail.pop();
+        return null;
+    };
+    return visit(start);
+};
+
+// --- Plugin Scope Helpers ---
+// Hooks tied to the app's lifecycle rather than a request always belong to the root app
+const APP_HOOKS = new Set(['onListen', 'onClose']);
+
+// Scopes enclosing `scope`, outermost first (the root app is not included)
+const getScopeChain = (scope) => {
+    const chain = [];
+    for (let current = scope; current && current._parentScope; current = current._parentScope) chain.unshift(current);
+    return chain;
+};
+
+// --- Mount Helpers ---
+// Splits a request path at the mount point; prefixes may hold params, so count segments
+const splitMountPath = (pathname, segmentCount) => {
+    const segments = pathname.split('/');
+    return {
+        baseUrl: segments.slice(0, segmentCount + 1).join('/'),
+        path: `/${segments.slice(segmentCount + 1).join('/')}`
+    };
+};
+
+// --- Virtual Host Helpers ---
+// 'api.example.com', '*.example.com' or ':tenant.example.com'; each * or :name matches one label
+const compileHostPattern = (hostname) => {
+    if (hostname instanceof RegExp) return hostname;
+    if (typeof hostname !== 'string' || hostname.length === 0) {
+        throw new Error('app.vhost() hostname must be a non-empty string or a RegExp.');
+    }
+    const source = hostname.toLowerCase().split('.').map(label => {
+        if (label === '*') return '([^.]+)';
+        if (label.startsWith(':')) return `(?<${label.slice(1)}>[^.]+)`;
+        return label.replace(/[\\^$+?.()|[\]{}*]/g, '\\$&');
+    }).join('\\.');
+    return new RegExp(`^${source}$`, 'i');
+};
+
+// The Host header without its port ('[::1]:3000' -> '[::1]')
+const stripHostPort = (host) => {
+    if (host.startsWith('[')) return host.slice(0, host.indexOf(']') + 1);
+    const colonIndex = host.indexOf(':');
+    return colonIndex === -1 ? host : host.slice(0, colonIndex);
+};
+
+// req.vhost: the hostname plus each wildcard by position and each :name by name
+const createVhostMatch = (hostname, match) => {
+    const vhost = { hostname, length: match.length - 1 };
+    for (let i = 1; i < match.length; i++) vhost[i - 1] = match[i];
+    return Object.assign(vhost, match.groups);
+};
+
+// --- Automatic OPTIONS / 405 Helpers ---
+// Allow header value: GET, HEAD, the other known methods, custom ones A-Z, then OPTIONS
+const ALLOW_ORDER = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const formatAllowHeader = (methods) => {
+    const rank = (method) => {
+        if (method === 'OPTIONS') return ALLOW_ORDER.length + 1;
+        const index = ALLOW_ORDER.indexOf(method);
+        return index === -1 ? ALLOW_ORDER.length : index;
+    };
+    return [...methods].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b)).join(', ');
+};
+
+const createAutoOptionsHandler = (allow) => function autoOptions(req, res) {
+    res.setHeader('Allow', allow);
+    res.setHeader('Content-Length', 0);
+    res.statusCode = 204;
+    res.end();
+};
+
+const createMethodNotAllowedHandler = (allow) => function methodNotAllowed(req, res) {
+    res.setHeader('Allow', allow);
+    const err = new Error(`Method ${req.method} is not allowed for ${req.pathname}`);
+    err.statusCode = 405;
+    err.code = 'METHOD_NOT_ALLOWED';
+    throw err;
+};
+
+// --- Route Options Detection ---
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
 // --- Route Path Normalizer (Optimized) ---
 const normalizeRoutePath = (prefix, path) => {
     let result = prefix;
@@ -133,11 +298,138 @@ const finishResponse = (res, body, contentType) => {
     // Optimize: avoid Buffer.byteLength for buffers
     const length = Buffer.isBuffer(body) ? body.length : Buffer.byteLength(body);
     res.setHeader('Content-Length', length);
-    res.writeHead(res.statusCode || 200);
+
+    const statusCode = res.statusCode || 200;
+    const req = res.req;
+    // Only reads are cached and revalidated, so write responses skip the hashing
+    if (statusCode >= 200 && statusCode < 300 && req && (req.method === 'GET' || req.method === 'HEAD')) {
+        if (res._neo_etag && !res.getHeader('ETag')) res.setHeader('ETag', res._neo_etag(body));
+        const etag = res.getHeader('ETag');
+        const lastModifiedHeader = res.getHeader('Last-Modified');
+        const lastModified = lastModifiedHeader ? parseHttpDate(lastModifiedHeader) ?? undefined : undefined;
+        if ((etag || lastModified !== undefined) && isNotModified(req.headers, { etag, lastModified })) {
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Length');
+            res.writeHead(304);
+            res.end();
+            return true;
+        }
+    }
+    res.writeHead(statusCode);
     res.end(body);
     return true;
 };
 
+// --- JSON Body Serializer ---
+// Uses the route's compiled response schema for the current status code when one exists
+const stringifyBody = (res, data) => {
+    const serialize = getResponseSerializer(res._neo_serializers, res.statusCode || 200);
+    return serialize ? serialize(data) : JSON.stringify(data);
+};
+
+// --- File Response Helpers ---
+const CRLF = Buffer.from('\r\n');
+
+// Size + mtime validator, the same heuristic nginx uses for static files
+const fileETag = (stat) => `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+
+// --- Cookie Helpers ---
+// Parses the Cookie header once per request; verified signed cookies move to signedCookies
+const loadCookies = (req, secrets) => {
+    const cookies = parseCookies(req.headers.cookie);
+    const signedCookies = Object.create(null);
+    if (secrets.length > 0) {
+        for (const name of Object.keys(cookies)) {
+            if (!isSigned(cookies[name])) continue;
+            signedCookies[name] = unsignCookie(cookies[name], secrets);
+            delete cookies[name];
+        }
+    }
+    req._neo_cookies = cookies;
+    req._neo_signedCookies = signedCookies;
+};
+
+// Appends instead of overwriting so several cookies can be set per response
+const appendSetCookie = (res, cookie) => {
+    const existing = res.getHeader('Set-Cookie');
+    res.setHeader('Set-Cookie', existing === undefined ? [cookie] : [].concat(existing, cookie));
+};
+
+// --- Route Lifecycle Helpers ---
+const toRouteDate = (value, option, routeName) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${option} for route ${routeName} must be a date (Date, timestamp or date string).`);
+    }
+    return date;
+};
+
+// Deprecation (RFC 9745) and Sunset (RFC 8594) headers, computed once per route
+const createLifecycleHeaders = (routeOptions, routeName) => {
+    const headers = [];
+    const { deprecation, sunset } = routeOptions;
+    if (deprecation === true) {
+        headers.push(['Deprecation', 'true']);
+    } else if (deprecation !== undefined && deprecation !== false) {
+        const seconds = Math.floor(toRouteDate(deprecation, 'deprecation', routeName).getTime() / 1000);
+        headers.push(['Deprecation', `@${seconds}`]);
+    }
+    if (sunset !== undefined) {
+        headers.push(['Sunset', toRouteDate(sunset, 'sunset', routeName).toUTCString()]);
+    }
+    return headers;
+};
+
+// Group options are defaults: the route's own options win, constraints are merged key by key
+const mergeGroupOptions = (groupOptions, routeOptions) => {
+    if (!groupOptions) return routeOptions;
+    const constraints = { ...groupOptions.constraints, ...routeOptions.constraints };
+    const merged = { ...groupOptions, ...routeOptions };
+    if (Object.keys(constraints).length > 0) merged.constraints = constraints;
+    else delete merged.constraints;
+    return merged;
+};
+
+// --- Decorator Helpers ---
+// Fields the core sets on every request/response; decorators may not claim them
+const CORE_REQUEST_FIELDS = new Set(['id', 'app', 'params', 'query', 'body', 'files', 'pathname', 'hostname', 'href',
+    'protocol', 'secure', 'ip', 'log', 'cookies', 'signedCookies', 'session', 'sessionID', 'routeOptions', 'version',
+    'baseUrl', 'originalUrl', 'vhost']);
+const CORE_RESPONSE_FIELDS = new Set(['app', 'log', 'req', 'status', 'type', 'send', 'json', 'sendStatus', 'redirect',
+    'redirectTo', 'clearHeader', 'sendFile', 'cookie', 'clearCookie', 'attachment']);
+
+const createDecoratorError = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+// A `{ getter, setter }` object defines an accessor; anything else is assigned as-is
+const isAccessorDecorator = (value) => isPlainObject(value) && typeof value.getter === 'function';
+
+const applyDecorator = (target, name, value) => {
+    if (isAccessorDecorator(value)) {
+        Object.defineProperty(target, name, {
+            get: value.getter,
+            set: value.setter,
+            configurable: true,
+            enumerable: true
+        });
+    } else {
+        target[name] = value;
+    }
+};
+
+// Request/response decorators are copied onto every request, so a shared object would leak between them
+const validateInstanceDecorator = (kind, name, value) => {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error(`${kind} decorator name must be a non-empty string.`);
+    }
+    if (value !== null && typeof value === 'object' && !isAccessorDecorator(value)) {
+        throw new Error(`${kind} decorator "${name}" must not be an object or array, which every request would share. Use { getter() {...} } instead.`);
+    }
+};
+
 // --- Decorate Request (Optimized) ---
 function decorateRequest(req, appInstance) {
     if (req._neo_decorated_req) return;
@@ -160,6 +452,28 @@ function decorateRequest(req, appInstance) {
         },
         configurable: true
     });
+
+    // Lazy cookie parsing
+    Object.defineProperty(req, 'cookies', {
+        get() {
+            if (!this._neo_cookies) loadCookies(this, appInstance._cookieSecrets);
+            return this._neo_cookies;
+        },
+        set(value) { this._neo_cookies = value; },
+        configurable: true,
+        enumerable: true
+    });
+    Object.defineProperty(req, 'signedCookies', {
+        get() {
+            if (!this._neo_signedCookies) loadCookies(this, appInstance._cookieSecrets);
+            return this._neo_signedCookies;
+        },
+        set(value) { this._neo_signedCookies = value; },
+        configurable: true,
+        enumerable: true
+    });
+
+    for (const [name, value] of appInstance._requestDecorators) applyDecorator(req, name, value);
     
     // Methods are now on prototype - no binding needed
 }
@@ -169,6 +483,8 @@ function decorateResponse(res, appInstance) {
     if (res._neo_decorated_res) return;
     res._neo_decorated_res = true;
     res._neo_finished = false;
+    res._neo_serializers = null;
+    res._neo_etag = appInstance._etag;
     res.app = appInstance;
 
     // Lazy logger creation
@@ -206,7 +522,7 @@ function decorateResponse(res, appInstance) {
             body = data;
             contentType = 'application/octet-stream';
         } else if (typeof data === 'object' && data !== null) {
-            body = JSON.stringify(data);
+            body = stringifyBody(this, data);
             contentType = 'application/json; charset=utf-8';
         } else {
             body = data === undefined ? '' : String(data);
@@ -219,7 +535,7 @@ function decorateResponse(res, appInstance) {
 
     res.json = function(data) {
         if (guardResponse(this, 'res.json')) return this;
-        const body = JSON.stringify(data);
+        const body = stringifyBody(this, data);
         finishResponse(this, body, 'application/json; charset=utf-8');
         return this;
     };
@@ -243,6 +559,11 @@ function decorateResponse(res, appInstance) {
         return this;
     };
 
+    // Inside a mounted app, the mount prefix is put back in front of the app's own path
+    res.redirectTo = function(name, params = {}, statusCode = 302) {
+        return this.redirect((this.req?.baseUrl || '') + appInstance.url(name, params), statusCode);
+    };
+
     const originalRemoveHeader = http.ServerResponse.prototype.removeHeader;
     res.clearHeader = function(name) {
         originalRemoveHeader.call(this, name);
@@ -253,38 +574,118 @@ function decorateResponse(res, appInstance) {
         if (guardResponse(this, 'res.sendFile')) return this;
 
         const fullPath = path.resolve(filePath);
+        // The response completes asynchronously; keeps the "handler did not respond" warning quiet
+        this._neo_sendingFile = true;
+
+        const reqLog = () => this.req?.log || this.app.log;
+        const fail = (err, stage) => {
+            if (!this.headersSent && !this._neo_finished) {
+                reqLog().error(`Error ${stage} file ${filePath}: ${err.message}`);
+                const status = err.code === 'ENOENT' ? 404 : (err.code === 'EACCES' ? 403 : 500);
+                const message = err.code === 'ENOENT' ? 'File Not Found' : (err.code === 'EACCES' ? 'Permission Denied' : 'Internal Server Error');
+                this.status(status).type('txt').send(message);
+            } else if (!this._neo_finished) {
+                reqLog().error(`Error ${stage} file ${filePath} after headers sent: ${err.message}`);
+                if (this.socket && !this.socket.destroyed) this.socket.destroy();
+                this._neo_finished = true;
+            }
+        };
+
+        fs.access(fullPath, fs.constants.R_OK).then(() => fs.stat(fullPath)).then((stat) => {
+            if (!stat.isFile()) {
+                const notFile = new Error(`${fullPath} is not a file`);
+                notFile.code = 'ENOENT';
+                throw notFile;
+            }
+            if (this._neo_finished || this.headersSent) return;
+
+            const req = this.req || {};
+            const headers = req.headers || {};
+            const validators = { etag: fileETag(stat), lastModified: stat.mtimeMs };
+            // A type set earlier (res.type(), app.static) wins over the extension
+            const contentType = this.getHeader('Content-Type') || mime.contentType(path.extname(fullPath)) || 'application/octet-stream';
+            // Conditional and partial responses only make sense for a plain 200
+            const cacheable = (this.statusCode || 200) === 200 && (req.method === 'GET' || req.method === 'HEAD');
+
+            if (!this.getHeader('ETag')) this.setHeader('ETag', validators.etag);
+            if (!this.getHeader('Last-Modified')) this.setHeader('Last-Modified', stat.mtime.toUTCString());
+            this.setHeader('Accept-Ranges', 'bytes');
+
+            if (cacheable && isNotModified(headers, validators)) {
+                this._neo_finished = true;
+                this.removeHeader('Content-Type');
+                this.removeHeader('Content-Length');
+                this.writeHead(304);
+                this.end();
+                return;
+            }
+
+            let ranges = null;
+            if (cacheable && headers.range && isRangeFresh(headers, validators)) {
+                ranges = parseRange(stat.size, headers.range);
+            }
+            if (ranges === -1) {
+                this._neo_finished = true;
+                this.setHeader('Content-Range', `bytes */${stat.size}`);
+                this.setHeader('Content-Length', '0');
+                this.removeHeader('Content-Type');
+                this.writeHead(416);
+                this.end();
+                return;
+            }
+
+            let body;
+            let length;
+            if (ranges && ranges.length === 1) {
+                const [{ start, end }] = ranges;
+                this.statusCode = 206;
+                this.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+                this.setHeader('Content-Type', contentType);
+                length = end - start + 1;
+                body = () => require('fs').createReadStream(fullPath, { start, end });
+            } else if (ranges) {
+                const boundary = crypto.randomBytes(12).toString('hex');
+                const parts = ranges.map(({ start, end }) => ({
+                    start,
+                    end,
+                    head: Buffer.from(`--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${stat.size}\r\n\r\n`),
+                }));
+                const closing = Buffer.from(`--${boundary}--\r\n`);
+                this.statusCode = 206;
+                this.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+                length = parts.reduce((total, part) => total + part.head.length + (part.end - part.start + 1) + 2, closing.length);
+                body = () => Readable.from((async function* () {
+                    for (const part of parts) {
+                        yield part.head;
+                        yield* require('fs').createReadStream(fullPath, { start: part.start, end: part.end });
+                        yield CRLF;
+                    }
+                    yield closing;
+                })());
+            } else {
+                this.setHeader('Content-Type', contentType);
+                length = stat.size;
+                body = () => require('fs').createReadStream(fullPath);
+            }
 
-        fs.access(fullPath, fs.constants.R_OK).then(() => {
-            const stream = require('fs').createReadStream(fullPath);
-            const contentType = mime.contentType(path.extname(fullPath));
+            this.setHeader('Content-Length', length);
+            if (!this.statusCode) this.statusCode = 200;
 
+            if (req.method === 'HEAD') {
+                this._neo_finished = true;
+                this.writeHead(this.statusCode);
+                this.end();
+                return;
+            }
+
+            const stream = body();
             stream.once('error', (err) => {
-                const req = this.req;
-                const reqLog = req?.log || this.app.log;
-                if (!this.headersSent && !this._neo_finished) {
-                    reqLog.error(`Error streaming file ${filePath}: ${err.message}`);
-                    this._neo_finished = true;
-                    const status = err.code === 'EACCES' ? 403 : 500;
-                    const message = err.code === 'EACCES' ? 'Permission Denied' : 'Internal Server Error';
-                    this.status(status).type('txt').send(message);
-                } else if (!this._neo_finished) {
-                    reqLog.error(`Error sending file ${filePath} after headers sent: ${err.message}`);
-                    if (this.socket && !this.socket.destroyed) this.socket.destroy();
-                    this._neo_finished = true;
-                }
+                fail(err, 'streaming');
                 if (stream.destroy) stream.destroy();
             });
 
-            stream.once('open', () => {
-                if (this._neo_finished || this.headersSent) {
-                    if (stream.destroy) stream.destroy();
-                    return;
-                }
-                if (contentType) this.setHeader('Content-Type', contentType);
-                if (!this.statusCode) this.statusCode = 200;
-                this.writeHead(this.statusCode);
-                stream.pipe(this);
-            });
+            this.writeHead(this.statusCode);
+            stream.pipe(this);
 
             const cleanup = () => {
                 this._neo_finished = true;
@@ -295,21 +696,26 @@ function decorateResponse(res, appInstance) {
             this.once('finish', cleanup);
             this.once('close', cleanup);
 
-        }).catch(err => {
-            const req = this.req;
-            const reqLog = req?.log || this.app.log;
-            if (!this.headersSent && !this._neo_finished) {
-                reqLog.error(`Error accessing file ${filePath}: ${err.message}`);
-                this._neo_finished = true;
-                const status = err.code === 'ENOENT' ? 404 : (err.code === 'EACCES' ? 403 : 500);
-                const message = err.code === 'ENOENT' ? 'File Not Found' : (err.code === 'EACCES' ? 'Permission Denied' : 'Internal Server Error');
-                this.status(status).type('txt').send(message);
-            } else if (!this._neo_finished) {
-                reqLog.error(`File access error for ${filePath} after headers sent: ${err.message}`);
-                if (this.socket && !this.socket.destroyed) this.socket.destroy();
-                this._neo_finished = true;
+        }).catch(err => fail(err, 'accessing'));
+        return this;
+    };
+
+    res.cookie = function(name, value, options = {}) {
+        let cookieValue = typeof value === 'string' ? value : JSON.stringify(value);
+        if (options.signed) {
+            if (appInstance._cookieSecrets.length === 0) {
+                throw new Error('res.cookie(): signed cookies require the "cookieSecret" app option.');
             }
-        });
+            cookieValue = signCookie(cookieValue, appInstance._cookieSecrets);
+        }
+        appendSetCookie(this, serializeCookie(name, cookieValue, { path: '/', ...options }));
+        return this;
+    };
+
+    res.clearCookie = function(name, options = {}) {
+        // Path and domain must match the original cookie for the browser to drop it
+        const { maxAge, expires, signed, ...attributes } = options;
+        appendSetCookie(this, serializeCookie(name, '', { path: '/', ...attributes, expires: new Date(0) }));
         return this;
     };
 
@@ -318,6 +724,8 @@ function decorateResponse(res, appInstance) {
         this.setHeader('Content-Disposition', disposition);
         return this;
     };
+
+    for (const [name, value] of appInstance._responseDecorators) applyDecorator(res, name, value);
 }
 
 // --- Logger Method Factory (Optimized) ---
@@ -332,21 +740,42 @@ class ZyroAPI extends EventEmitter {
     constructor(options = {}) {
         super();
         this.config = options;
-        this.router = FindMyWay({
-            defaultRoute: (req, res) => {
-                const err = new Error(`Cannot ${req.method} ${req.pathname || req.url}`);
-                err.statusCode = 404;
-                err.code = 'NOT_FOUND';
-                this._handleError(err, req, res);
-            },
-            ignoreTrailingSlash: options.ignoreTrailingSlash ?? true,
-            allowUnsafeRegex: options.allowUnsafeRegex ?? false,
-        });
+        this.router = this._createRouter();
+        this._vhosts = [];
+        // Host pattern of the vhost() scope routes are registered in
+        this._vhost = null;
+        // Methods with at least one route, probed to build the Allow header
+        this._routeMethods = new Set();
+        // name -> { path, build } for app.url()
+        this._namedRoutes = new Map();
         this.middleware = [];
         this.hooks = new Map();
         this.errorHandler = this._defaultErrorHandler;
         this._currentGroupPrefix = '';
+        this._currentGroupOptions = null;
+        this._root = this;
+        this._parentScope = null;
+        this._routes = [];
+        this._queryParser = createQueryParser(options.queryParser);
+        this._etag = createETagGenerator(options.etag);
+        this._cookieSecrets = [].concat(options.cookieSecret || []);
+        if (this._cookieSecrets.some(secret => typeof secret !== 'string' || secret.length === 0)) {
+            throw new Error('cookieSecret must be a non-empty string or an array of non-empty strings.');
+        }
         this.plugins = new Map();
+        this._pluginLoads = new Map();
+        // "Name prefix" for every plug() call, to skip repeats
+        this._pluginRegistrations = new Set();
+        this._deferredPlugins = [];
+        this._pluginErrors = [];
+        this._requestDecorators = new Map();
+        this._responseDecorators = new Map();
+        this.server = null;
+        // Settles once launch() has started listening (or given up), so close() can wait for it
+        this._launching = null;
+        this._closing = null;
+        this._signalHandler = null;
+        this._signals = [];
 
         this.log = this._createLogger('ZyroAPI Core');
         this._setupDefaultLogListener();
@@ -355,11 +784,24 @@ class ZyroAPI extends EventEmitter {
 
     static get jsonParser() { return JsonParserPlugin; }
     static get cors() { return CorsPlugin; }
+    static get openapi() { return OpenAPIPlugin; }
+    static get multipart() { return MultipartPlugin; }
+    static get urlencoded() { return UrlencodedPlugin; }
+    static get session() { return SessionPlugin; }
+    static get compress() { return CompressPlugin; }
+
+    static Router() {
+        return new Router();
+    }
 
     instance() {
         return this._boundHandleRequest;
     }
 
+    inject(options) {
+        return this.ready().then(() => inject(this, options));
+    }
+
     launch(port, hostOrCb, callback) {
         // Validate port
         if (typeof port !== 'number' || port < 0 || port > 65535 || !Number.isInteger(port)) {
@@ -376,36 +818,125 @@ class ZyroAPI extends EventEmitter {
         }
 
         const server = http.createServer(this.instance());
+        this.server = server;
 
-        server.on('error', (err) => {
+        // Listen and plugin-load failures are reported through 'server:error' and shut the app down;
+        // only an app that owns the process (handleSignals) also exits
+        const failLaunch = (err) => {
             this.emit('server:error', err);
             this.log.error(`Failed to start server: ${err.message}`);
             if (err.code === 'EADDRINUSE') {
                 console.error(chalk.red(`   Address ${host}:${port} is already in use.`));
             }
-            process.exit(1);
-        });
+            const closing = this.close();
+            if (this.config.handleSignals) closing.finally(() => process.exit(1));
+        };
+        server.on('error', failLaunch);
 
-        server.listen(port, host, async () => {
-            const address = server.address();
-            const effectivePort = address ? address.port : port;
-            const effectiveHost = address ? address.address : host;
+        if (this.config.handleSignals) {
+            this._installSignalHandlers(this.config.handleSignals === true ? ['SIGTERM', 'SIGINT'] : [].concat(this.config.handleSignals));
+        }
 
-            try {
-                await this._runHooks('onListen', server, address);
-            } catch (hookError) {
-                this.log.error(`Error during 'onListen' hook: ${hookError.message}`);
-            }
+        // Plugins (including async ones) must finish loading before traffic arrives
+        this._launching = this.ready().then(() => new Promise((resolve) => {
+            // close() was called while plugins were loading: never open the port
+            if (this._closing) return resolve();
+            server.once('error', resolve);
+            server.listen(port, host, async () => {
+                server.removeListener('error', resolve);
+                resolve();
+                const address = server.address();
+                const effectivePort = address ? address.port : port;
+                const effectiveHost = address ? address.address : host;
+
+                try {
+                    await this._runHooks('onListen', server, address);
+                } catch (hookError) {
+                    this.log.error(`Error during 'onListen' hook: ${hookError.message}`);
+                }
 
-            this.emit('server:listening', effectivePort, address);
-            this.log.success(`Listening on ${effectiveHost}:${effectivePort}`);
+                this.emit('server:listening', effectivePort, address);
+                this.log.success(`Listening on ${effectiveHost}:${effectivePort}`);
 
-            if (cb && typeof cb === 'function') {
-                try { cb(); }
-                catch (cbErr) { this.log.error(`Error in launch callback: ${cbErr.message}`); }
+                if (cb && typeof cb === 'function') {
+                    try { cb(); }
+                    catch (cbErr) { this.log.error(`Error in launch callback: ${cbErr.message}`); }
+                }
+            });
+        }), failLaunch);
+        return server;
+    }
+
+    // Graceful shutdown: drain in-flight requests (force-close after `timeout` ms), then run onClose hooks and unload plugins
+    close({ timeout = this.config.closeTimeout ?? 10000 } = {}) {
+        if (this._closing) return this._closing;
+        this.emit('server:closing');
+        this.log.info('Shutting down...');
+
+        this._closing = (async () => {
+            if (this._launching) await this._launching;
+            if (this.server && this.server.listening) await this._drainServer(this.server, timeout);
+
+            // Every handler runs even if an earlier one fails; shutdown must not stop halfway
+            for (const handler of this.hooks.get('onClose') || []) {
+                try {
+                    await handler(this);
+                } catch (hookError) {
+                    this.log.error(`Error in hook 'onClose' (${handler.name || 'anonymous'}): ${hookError.message}`);
+                }
+            }
+
+            for (const [pluginName, pluginInstance] of [...this.plugins].reverse()) {
+                if (typeof pluginInstance.unload !== 'function') continue;
+                try {
+                    await pluginInstance.unload();
+                    this.emit('plugin:unloaded', pluginName, pluginInstance);
+                } catch (unloadError) {
+                    this.log.error(`Failed to unload plugin "${pluginName}": ${unloadError.message}`);
+                    this.emit('plugin:error', pluginName, unloadError);
+                }
             }
+
+            this._removeSignalHandlers();
+            this.emit('server:closed');
+            this.log.success('Shutdown complete.');
+        })();
+        return this._closing;
+    }
+
+    _drainServer(server, timeout) {
+        return new Promise((resolve) => {
+            const forceTimer = setTimeout(() => {
+                this.log.warn(`Requests still in flight after ${timeout}ms; closing their connections.`);
+                server.closeAllConnections();
+            }, timeout);
+            server.close(() => {
+                clearTimeout(forceTimer);
+                resolve();
+            });
+            // Keep-alive sockets waiting for their next request would hold close() open
+            server.closeIdleConnections();
         });
-        return server;
+    }
+
+    _installSignalHandlers(signals) {
+        if (this._signalHandler) return;
+        this._signalHandler = (signal) => {
+            if (this._closing) {
+                this.log.warn(`${signal} received during shutdown; exiting immediately.`);
+                process.exit(1);
+            }
+            this.log.info(`${signal} received.`);
+            this.close().then(() => process.exit(0));
+        };
+        this._signals = signals;
+        for (const signal of signals) process.on(signal, this._signalHandler);
+    }
+
+    _removeSignalHandlers() {
+        if (!this._signalHandler) return;
+        for (const signal of this._signals) process.removeListener(signal, this._signalHandler);
+        this._signalHandler = null;
     }
 
     // --- Optimized Logger Creation ---
@@ -460,6 +991,7 @@ class ZyroAPI extends EventEmitter {
         if (typeof handlerFn !== 'function') {
             throw new Error(`Handler for hook '${hookName}' must be a function.`);
         }
+        if (APP_HOOKS.has(hookName) && this !== this._root) return this._root.addHook(hookName, handlerFn);
         const handlers = this.hooks.get(hookName) || [];
         handlers.push(handlerFn);
         this.hooks.set(hookName, handlers);
@@ -487,6 +1019,30 @@ class ZyroAPI extends EventEmitter {
         }
     }
     
+    // onRoute hooks of the app and of every scope enclosing this one
+    _getRouteHooks() {
+        const owners = this === this._root ? [this] : [this._root, ...getScopeChain(this)];
+        return owners.flatMap(owner => owner.hooks.get('onRoute') || []);
+    }
+
+    // Route registration is synchronous, so onRoute hooks must be too
+    _runRouteHooks(routeHooks, route) {
+        for (const handler of routeHooks) {
+            const result = handler(route);
+            if (result && typeof result.then === 'function') {
+                throw new Error(`onRoute hook "${handler.name || 'anonymous'}" must be synchronous.`);
+            }
+        }
+    }
+
+    // Runs a request hook for each plugin scope enclosing the matched route, outermost first
+    async _runScopeHooks(hookName, req, ...args) {
+        if (!req || !req._neo_scopes) return;
+        for (const scope of req._neo_scopes) {
+            if (scope._hasHook(hookName)) await scope._runHooks(hookName, ...args);
+        }
+    }
+
     _hasHook(hookName) {
         const handlers = this.hooks.get(hookName);
         return handlers && handlers.length > 0;
@@ -516,33 +1072,251 @@ class ZyroAPI extends EventEmitter {
             if (!pluginName || typeof pluginName !== 'string') {
                 throw new Error('Plugin class needs static string "name" property.');
             }
-            if (this.plugins.has(pluginName)) {
-                this.log.warn(`Plugin "${pluginName}" already loaded. Skipping.`);
+            // A prefix gives the plugin its own scope: routes, middleware, hooks and error handler stay inside it
+            const scope = options.prefix === undefined ? this : this._createScope(options.prefix);
+            const prefix = scope._currentGroupPrefix;
+            // The same plugin may be plugged once per prefix
+            if (this._pluginRegistrations.has(`${pluginName} ${prefix}`)) {
+                this.log.warn(`Plugin "${pluginName}" already loaded${prefix ? ` at ${prefix}` : ''}. Skipping.`);
                 return this;
             }
 
+            const dependencies = [].concat(PluginClass.dependencies || []).map(dependency => (typeof dependency === 'function' ? dependency.name : dependency));
+            // The first registration answers to the plugin name (getPlugin, dependencies); later ones to "Name (prefix)"
+            const isFirst = ![...this._pluginRegistrations].some(registration => registration.startsWith(`${pluginName} `));
+            const key = isFirst ? pluginName : `${pluginName} (${prefix || '/'})`;
+            this._pluginRegistrations.add(`${pluginName} ${prefix}`);
+            this._deferredPlugins.push({ pluginName, key, PluginClass, options, dependencies, scope });
+            this._loadDeferredPlugins();
+        } catch (err) {
+            this._recordPluginError(pluginName, err);
+        }
+        return this;
+    }
+
+    // Resolves once every plugin has loaded (launch() and inject() call it); rejects with the load error
+    async ready() {
+        // A plugin's load() may plug further plugins, so wait until no new loads appear
+        let loadCount;
+        do {
+            loadCount = this._pluginLoads.size;
+            await Promise.all(this._pluginLoads.values());
+        } while (this._pluginLoads.size !== loadCount);
+
+        if (this._deferredPlugins.length > 0) this._rejectDeferredPlugins();
+
+        if (this._pluginErrors.length === 1) throw this._pluginErrors[0];
+        if (this._pluginErrors.length > 1) {
+            const err = new Error(`${this._pluginErrors.length} plugins failed to load: ${this._pluginErrors.map(pluginError => pluginError.message).join('; ')}`);
+            err.code = 'PLUGIN_LOAD_FAILED';
+            err.errors = this._pluginErrors;
+            throw err;
+        }
+        return this;
+    }
+
+    // Starts queued plugins whose dependencies have all been plugged, in plug() order
+    _loadDeferredPlugins() {
+        let progressed = true;
+        while (progressed) {
+            progressed = false;
+            for (const entry of [...this._deferredPlugins]) {
+                if (!entry.dependencies.every(dependency => this._pluginLoads.has(dependency))) continue;
+                this._deferredPlugins.splice(this._deferredPlugins.indexOf(entry), 1);
+                this._pluginLoads.set(entry.key, this._loadPlugin(entry));
+                progressed = true;
+            }
+        }
+    }
+
+    // Resolves to whether the plugin loaded; failures are recorded for ready(), never thrown
+    _loadPlugin(entry) {
+        const { pluginName, dependencies } = entry;
+        // Dependencies already loaded: load right away so middleware keeps plug() order
+        if (dependencies.every(dependency => this.plugins.has(dependency))) return this._startPlugin(entry);
+
+        return Promise.all(dependencies.map(dependency => this._pluginLoads.get(dependency))).then((results) => {
+            const failed = dependencies.filter((dependency, index) => !results[index]);
+            if (failed.length > 0) {
+                this._recordPluginError(pluginName, createPluginError('PLUGIN_DEPENDENCY_FAILED',
+                    `Plugin "${pluginName}" depends on "${failed.join('", "')}", which failed to load.`, pluginName));
+                return false;
+            }
+            return this._startPlugin(entry);
+        });
+    }
+
+    _startPlugin({ pluginName, key, PluginClass, options, scope }) {
+        let pluginInstance;
+        let result;
+        try {
             this.log.debug(`Loading plugin "${pluginName}"...`);
-            const pluginInstance = new PluginClass(options);
-            pluginInstance.app = this;
+            this._checkPluginDecorators(pluginName, PluginClass, scope);
+            pluginInstance = new PluginClass(options);
+            pluginInstance.app = scope;
 
             if (typeof pluginInstance.load !== 'function') {
                 throw new Error(`Plugin "${pluginName}" missing required "load(app)" method.`);
             }
+            result = pluginInstance.load(scope);
+        } catch (err) {
+            this._recordPluginError(pluginName, err);
+            return Promise.resolve(false);
+        }
 
-            pluginInstance.load(this);
-            this.plugins.set(pluginName, pluginInstance);
+        const register = () => {
+            this.plugins.set(key, pluginInstance);
             this.log.success(`Plugin "${pluginName}" loaded.`);
             this.emit('plugin:loaded', pluginName, pluginInstance);
+            return true;
+        };
+        if (!result || typeof result.then !== 'function') return Promise.resolve(register());
+
+        const timeout = PluginClass.loadTimeout ?? this.config.pluginTimeout ?? 10000;
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(createPluginError('PLUGIN_TIMEOUT', `Plugin "${pluginName}" did not finish loading within ${timeout}ms.`, pluginName)), timeout);
+        });
+        return Promise.race([result, timedOut])
+            .then(register, (err) => {
+                this._recordPluginError(pluginName, err);
+                return false;
+            })
+            .finally(() => clearTimeout(timer));
+    }
 
+    // Plugins still queued at ready() time wait on something that will never load
+    _rejectDeferredPlugins() {
+        const deferred = new Map(this._deferredPlugins.map(entry => [entry.key, entry]));
+        const reported = new Set();
+        this._deferredPlugins.length = 0;
+
+        for (const { pluginName, dependencies } of deferred.values()) {
+            if (reported.has(pluginName)) continue;
+            const missing = dependencies.filter(dependency => !this._pluginLoads.has(dependency) && !deferred.has(dependency));
+            const cycle = missing.length === 0 ? findDependencyCycle(pluginName, deferred) : null;
+            if (missing.length > 0) {
+                this._recordPluginError(pluginName, createPluginError('PLUGIN_DEPENDENCY_MISSING',
+                    `Plugin "${pluginName}" depends on "${missing.join('", "')}", which was never plugged.`, pluginName));
+            } else if (cycle) {
+                cycle.forEach(name => reported.add(name));
+                this._recordPluginError(pluginName, createPluginError('PLUGIN_DEPENDENCY_CYCLE',
+                    `Plugin dependency cycle: ${cycle.join(' -> ')}.`, pluginName));
+            } else {
+                const blocked = dependencies.filter(dependency => deferred.has(dependency));
+                this._recordPluginError(pluginName, createPluginError('PLUGIN_DEPENDENCY_FAILED',
+                    `Plugin "${pluginName}" depends on "${blocked.join('", "')}", which could not be loaded.`, pluginName));
+            }
+        }
+    }
+
+    _recordPluginError(pluginName, err) {
+        if (err.plugin === undefined) err.plugin = pluginName;
+        this._pluginErrors.push(err);
+        this.log.error(`Failed to load plugin "${pluginName}": ${err.message}`);
+        this.emit('plugin:error', pluginName, err);
+    }
+
+    // Runs fn(scope, options) in a child scope; its middleware, hooks and error handler only apply to its routes
+    register(fn, options = {}) {
+        if (typeof fn !== 'function') {
+            throw new Error('register() expects a function or a plugin class.');
+        }
+        if (fn.prototype instanceof BasePlugin) return this.plug(fn, { prefix: '', ...options });
+
+        const scopeName = fn.name || 'anonymous';
+        const scope = this._createScope(options.prefix ?? '');
+        let result;
+        try {
+            result = fn(scope, options);
         } catch (err) {
-            const message = `Failed to load plugin "${pluginName}": ${err.message}`;
-            this.log.error(message);
-            console.error(err.stack);
-            this.emit('plugin:error', pluginName, err);
+            this._recordPluginError(scopeName, err);
+            return this;
+        }
+        if (result && typeof result.then === 'function') {
+            // Async registrations are awaited by ready() like async plugins
+            this._pluginLoads.set(Symbol(scopeName), result.then(() => true, (err) => {
+                this._recordPluginError(scopeName, err);
+                return false;
+            }));
+        }
+        return this;
+    }
+
+    // A child context sharing the router, plugins and config, with its own middleware,
+    // request hooks, error handler and route prefix
+    _createScope(prefix) {
+        if (typeof prefix !== 'string') {
+            throw new Error('Scope prefix must be a string');
+        }
+        const scope = Object.create(this);
+        scope._parentScope = this;
+        scope.middleware = [];
+        scope.hooks = new Map();
+        const scopePrefix = normalizeRoutePath(this._currentGroupPrefix, prefix);
+        scope._currentGroupPrefix = scopePrefix === '/' ? '' : scopePrefix;
+        // Snapshot the group options too: an async register() callback runs after group() returns
+        scope._currentGroupOptions = this._currentGroupOptions;
+        return scope;
+    }
+
+    // Adds a property to the app, or to the current scope and its children
+    decorate(name, value) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('App decorator name must be a non-empty string.');
+        }
+        if (name in this) {
+            throw createDecoratorError('DECORATOR_CONFLICT', `Cannot decorate app with "${name}": the property already exists.`);
+        }
+        applyDecorator(this, name, value);
+        return this;
+    }
+
+    // Adds a property to every request; functions become methods, `{ getter }` is computed on access
+    decorateRequest(name, value) {
+        validateInstanceDecorator('Request', name, value);
+        if (CORE_REQUEST_FIELDS.has(name) || name in http.IncomingMessage.prototype || this._requestDecorators.has(name)) {
+            throw createDecoratorError('DECORATOR_CONFLICT', `Cannot decorate request with "${name}": the property already exists.`);
         }
+        this._requestDecorators.set(name, value);
         return this;
     }
 
+    // Adds a property to every response (same rules as decorateRequest)
+    decorateResponse(name, value) {
+        validateInstanceDecorator('Response', name, value);
+        if (CORE_RESPONSE_FIELDS.has(name) || name in http.ServerResponse.prototype || this._responseDecorators.has(name)) {
+            throw createDecoratorError('DECORATOR_CONFLICT', `Cannot decorate response with "${name}": the property already exists.`);
+        }
+        this._responseDecorators.set(name, value);
+        return this;
+    }
+
+    hasDecorator(name) {
+        return name in this;
+    }
+
+    hasRequestDecorator(name) {
+        return this._requestDecorators.has(name);
+    }
+
+    hasResponseDecorator(name) {
+        return this._responseDecorators.has(name);
+    }
+
+    // Checks a plugin's static `decorators` ({ app, request, response } name lists) before it loads
+    _checkPluginDecorators(pluginName, PluginClass, scope) {
+        const required = PluginClass.decorators || {};
+        const missing = [
+            ...[].concat(required.app || []).filter(name => !scope.hasDecorator(name)).map(name => `app.${name}`),
+            ...[].concat(required.request || []).filter(name => !this.hasRequestDecorator(name)).map(name => `req.${name}`),
+            ...[].concat(required.response || []).filter(name => !this.hasResponseDecorator(name)).map(name => `res.${name}`),
+        ];
+        if (missing.length > 0) {
+            throw createDecoratorError('DECORATOR_MISSING', `Plugin "${pluginName}" requires decorator(s) ${missing.join(', ')}, which are not registered.`);
+        }
+    }
+
     getPlugin(pluginName) {
         return this.plugins.get(pluginName);
     }
@@ -572,6 +1346,7 @@ class ZyroAPI extends EventEmitter {
                 error: {
                     message: err.message || (statusCode === 500 ? 'Internal Server Error' : 'An error occurred'),
                     code: err.code,
+                    validation: err.validation,
                     stack: process.env.NODE_ENV !== 'production' ? err.stack : undefined
                 }
             });
@@ -591,6 +1366,7 @@ class ZyroAPI extends EventEmitter {
 
         try {
             await this._runHooks('onError', err, req, res);
+            await this._runScopeHooks('onError', req, err, req, res);
         } catch (hookError) {
             reqLog.error(`CRITICAL: Error within 'onError' hook itself: ${hookError.message}`);
         }
@@ -599,8 +1375,11 @@ class ZyroAPI extends EventEmitter {
             res.statusCode = (err.statusCode >= 400 ? err.statusCode : 500);
         }
         
+        // The innermost scope of the matched route that set an error handler wins
+        const scopes = req?._neo_scopes;
+        const errorHandler = scopes ? scopes[scopes.length - 1].errorHandler : this.errorHandler;
         try {
-            this.errorHandler(err, req, res);
+            errorHandler.call(this, err, req, res);
             this.emit('error:handled', err, req, res);
         } catch (errorHandlerError) {
             reqLog.error(`CRITICAL: Error within registered error handler: ${errorHandlerError.message}`);
@@ -635,6 +1414,12 @@ class ZyroAPI extends EventEmitter {
         
         let routeMiddlewares = [];
         let handler;
+        let routeOptions = {};
+
+        if (args.length > 1 && isPlainObject(args[0])) {
+            routeOptions = args.shift();
+        }
+        routeOptions = mergeGroupOptions(this._currentGroupOptions, routeOptions);
 
         if (args.length === 0) {
             throw new Error(`Handler missing for route ${method} ${path}`);
@@ -661,17 +1446,95 @@ class ZyroAPI extends EventEmitter {
 
         const routePath = normalizeRoutePath(this._currentGroupPrefix, path);
 
+        // onRoute hooks may replace the handler and middleware or change the options
+        const routeHooks = this._getRouteHooks();
+        if (routeHooks.length > 0) {
+            const route = { method, url: routePath, prefix: this._currentGroupPrefix, handler, middleware: routeMiddlewares, options: { ...routeOptions } };
+            this._runRouteHooks(routeHooks, route);
+            handler = route.handler;
+            routeMiddlewares = [].concat(route.middleware || []);
+            routeOptions = route.options || {};
+            if (typeof handler !== 'function' || routeMiddlewares.some(mw => typeof mw !== 'function')) {
+                throw new Error(`onRoute hook left route ${method} ${routePath} without a function handler or middleware.`);
+            }
+        }
+
+        const preHandlers = [].concat(routeOptions.preHandler || []);
+        if (preHandlers.some(fn => typeof fn !== 'function')) {
+            throw new Error(`preHandler for route ${method} ${path} must be a function or an array of functions.`);
+        }
+        if (routeOptions.timeout !== undefined && !(Number.isFinite(routeOptions.timeout) && routeOptions.timeout > 0)) {
+            throw new Error(`timeout for route ${method} ${path} must be a positive number of milliseconds.`);
+        }
+        if (routeOptions.config !== undefined && !isPlainObject(routeOptions.config)) {
+            throw new Error(`config for route ${method} ${path} must be an object.`);
+        }
+        const routeName = routeOptions.name;
+        if (routeName !== undefined) {
+            if (typeof routeName !== 'string' || routeName.length === 0) {
+                throw new Error(`name for route ${method} ${path} must be a non-empty string.`);
+            }
+            // One name may cover several methods of the same path (app.route({ method: [...] }))
+            const named = this._namedRoutes.get(routeName);
+            if (named && named.path !== routePath) {
+                throw new Error(`Route name "${routeName}" is already used by ${named.path}.`);
+            }
+        }
+        const constraints = routeOptions.constraints;
+
         if (this.config.verbose) {
             this.log.debug(`Registering route: ${method} ${routePath}${routeMiddlewares.length > 0 ? ` (${routeMiddlewares.length} middleware)` : ''}`);
         }
         
-        const store = { middlewares: routeMiddlewares };
+        const store = {
+            middlewares: routeMiddlewares,
+            schema: routeOptions.schema,
+            validateRequest: compileRequestValidator(routeOptions.schema, `${method} ${routePath}`, {
+                coerceQuerystring: this.config.coerceQuery === true,
+                ...routeOptions.validation,
+            }),
+            serializers: compileResponseSerializers(routeOptions.schema?.response, `${method} ${routePath}`),
+            etag: routeOptions.etag === undefined ? undefined : createETagGenerator(routeOptions.etag),
+            scope: this._parentScope ? this : null,
+            preHandlers,
+            lifecycleHeaders: createLifecycleHeaders(routeOptions, `${method} ${path}`),
+            // Exposed as req.routeOptions; shared by every request to the route
+            routeOptions: Object.freeze({
+                method,
+                url: routePath,
+                config: routeOptions.config || {},
+                bodyLimit: routeOptions.bodyLimit === undefined ? undefined : parseBytes(routeOptions.bodyLimit, 'bodyLimit'),
+                timeout: routeOptions.timeout,
+                constraints
+            })
+        };
         try {
-            this.router.on(method, routePath, handler, store);
+            this.router.on(method, routePath, constraints ? { constraints } : {}, handler, store);
         } catch (routerErr) {
             this.log.error(`Error registering route ${method} ${routePath}: ${routerErr.message}`);
             throw routerErr;
         }
+        this._routes.push({ method, path: routePath, options: routeOptions, handler, middleware: routeMiddlewares, vhost: this._vhost });
+        if (routeName !== undefined && !this._namedRoutes.has(routeName)) {
+            this._namedRoutes.set(routeName, { path: routePath, build: compilePath(routePath) });
+        }
+        this._routeMethods.add(method);
+        return this;
+    }
+
+    // Registers a route from one options object: method, url, handler plus any route option
+    route(options) {
+        if (!isPlainObject(options)) {
+            throw new Error('app.route() expects an options object.');
+        }
+        const { method, url, path: routePath, handler, middleware, ...routeOptions } = options;
+        const methods = [].concat(method || []);
+        if (methods.length === 0) {
+            throw new Error('app.route() requires a method (or an array of methods).');
+        }
+        for (const routeMethod of methods) {
+            this._addRoute(String(routeMethod).toUpperCase(), url ?? routePath, routeOptions, ...[].concat(middleware || []), handler);
+        }
         return this;
     }
 
@@ -683,17 +1546,31 @@ class ZyroAPI extends EventEmitter {
     options(path, ...args) { return this._addRoute('OPTIONS', path, ...args); }
     head(path, ...args) { return this._addRoute('HEAD', path, ...args); }
 
-    group(prefix, callback) {
+    // Registers routes under a shared prefix; options (version, constraints, deprecation, sunset) apply to each route
+    group(prefix, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
         if (typeof prefix !== 'string') {
             throw new Error('Group prefix must be a string');
         }
         if (typeof callback !== 'function') {
             throw new Error('Group callback must be a function');
         }
+        if (!isPlainObject(options)) {
+            throw new Error('Group options must be an object');
+        }
         
         const originalPrefix = this._currentGroupPrefix;
+        const originalOptions = this._currentGroupOptions;
         const newPrefixSegment = (prefix.startsWith('/') ? prefix : `/${prefix}`).replace(/\/+/g, '/').replace(/\/$/, '');
         this._currentGroupPrefix = (originalPrefix + newPrefixSegment).replace(/\/+/g, '/');
+        const { version, ...groupOptions } = options;
+        if (version !== undefined) groupOptions.constraints = { ...groupOptions.constraints, version };
+        if (Object.keys(groupOptions).length > 0) {
+            this._currentGroupOptions = mergeGroupOptions(originalOptions, groupOptions);
+        }
         
         if (this.config.verbose) {
             this.log.debug(`Entering group: ${this._currentGroupPrefix || '/'}`);
@@ -704,9 +1581,11 @@ class ZyroAPI extends EventEmitter {
         } catch (groupErr) {
             this.log.error(`Error in route group "${prefix}": ${groupErr.message}`);
             this._currentGroupPrefix = originalPrefix;
+            this._currentGroupOptions = originalOptions;
             throw groupErr;
         } finally {
             this._currentGroupPrefix = originalPrefix;
+            this._currentGroupOptions = originalOptions;
             if (this.config.verbose) {
                 this.log.debug(`Exiting group, restored prefix: ${this._currentGroupPrefix || "''"}`);
             }
@@ -714,6 +1593,296 @@ class ZyroAPI extends EventEmitter {
         return this;
     }
 
+    // Attaches a Router (as a scope), another app or a raw handler under a prefix; apps and handlers see req.url without it
+    mount(prefix, target) {
+        if (typeof prefix !== 'string') {
+            throw new Error('Mount prefix must be a string');
+        }
+        if (target instanceof Router) {
+            target.applyTo(this._createScope(prefix));
+            return this;
+        }
+        if (!(target instanceof ZyroAPI) && typeof target !== 'function') {
+            throw new Error('app.mount() expects a Router, a ZyroAPI app or a (req, res) handler.');
+        }
+        if (target instanceof ZyroAPI) {
+            // The sub-app's plugins are unloaded along with this app
+            this.addHook('onClose', () => target.close());
+        }
+
+        const base = normalizeRoutePath('', prefix);
+        const segmentCount = base === '/' ? 0 : base.split('/').length - 1;
+        const handler = this._createMountHandler(target, segmentCount);
+        for (const method of ROUTE_METHODS) {
+            if (base !== '/') this._addRoute(method, base, { hide: true }, handler);
+            this._addRoute(method, base === '/' ? '/*' : `${base}/*`, { hide: true }, handler);
+        }
+        if (this.config.verbose) {
+            this.log.debug(`Mounted ${target instanceof ZyroAPI ? 'app' : `handler "${target.name || 'anonymous'}"`} at ${normalizeRoutePath(this._currentGroupPrefix, prefix)}`);
+        }
+        return this;
+    }
+
+    // Fails the body reader with a 413 once a chunked body passes `limit` (or answers 413 itself when nothing listens for errors)
+    _limitRequestBody(req, res, limit) {
+        const app = this;
+        const originalEmit = req.emit;
+        let received = 0;
+        let exceeded = false;
+        req.emit = function (event, ...args) {
+            if (exceeded && (event === 'data' || event === 'end')) return false;
+            if (event === 'data') {
+                received += args[0].length;
+                if (received > limit) {
+                    exceeded = true;
+                    req.resume();
+                    const err = createBodyLimitError(limit);
+                    if (this.listenerCount('error') > 0) return originalEmit.call(this, 'error', err);
+                    app._handleError(err, req, res);
+                    return false;
+                }
+            }
+            return originalEmit.call(this, event, ...args);
+        };
+    }
+
+    // Answers 503 if the route has not responded within its timeout option
+    _startRouteTimer(req, res, timeout) {
+        const timer = setTimeout(() => {
+            if (res._neo_finished || res.writableEnded) return;
+            const err = new Error(`Route timed out after ${timeout}ms`);
+            err.statusCode = 503;
+            err.code = 'ROUTE_TIMEOUT';
+            if (!res.headersSent) return this._handleError(err, req, res);
+            req.log.error(`${err.message} while streaming the response; closing the connection.`);
+            if (res.socket && !res.socket.destroyed) res.socket.destroy();
+            res._neo_finished = true;
+        }, timeout);
+        const clear = () => clearTimeout(timer);
+        res.once('finish', clear);
+        res.once('close', clear);
+    }
+
+    _createRouter() {
+        return FindMyWay({
+            defaultRoute: (req, res) => {
+                const err = new Error(`Cannot ${req.method} ${req.pathname || req.url}`);
+                err.statusCode = 404;
+                err.code = 'NOT_FOUND';
+                this._handleError(err, req, res);
+            },
+            ignoreTrailingSlash: this.config.ignoreTrailingSlash ?? true,
+            allowUnsafeRegex: this.config.allowUnsafeRegex ?? false,
+        });
+    }
+
+    // Sends requests whose Host matches to a Router or another app, before this app's hooks and middleware
+    vhost(hostname, target) {
+        const pattern = compileHostPattern(hostname);
+        if (!(target instanceof Router) && !(target instanceof ZyroAPI)) {
+            throw new Error('app.vhost() expects a Router or a ZyroAPI app.');
+        }
+        let app = target;
+        if (target instanceof Router) {
+            // Shares this app's settings, plugins and decorators, but not its middleware or hooks
+            app = Object.create(this);
+            app.router = this._createRouter();
+            app.middleware = [];
+            app.hooks = new Map();
+            app._vhosts = [];
+            app._parentScope = null;
+            app._currentGroupPrefix = '';
+            app._currentGroupOptions = null;
+            app._vhost = hostname;
+            // Route names and the methods behind Allow/405 are per host; routes() still lists every host
+            app._namedRoutes = new Map();
+            app._routeMethods = new Set();
+            target.applyTo(app);
+        } else {
+            // The sub-app's plugins are unloaded along with this app
+            this.addHook('onClose', () => target.close());
+        }
+        // Checked in registration order; the first matching host wins
+        this._root._vhosts.push({ hostname, pattern, app });
+        if (this.config.verbose) {
+            this.log.debug(`Virtual host ${hostname} -> ${target instanceof ZyroAPI ? 'app' : 'router'}`);
+        }
+        return this;
+    }
+
+    // Builds the path of a named route, prefixes included; a missing param throws ROUTE_PARAM_MISSING
+    url(name, params = {}, query) {
+        const route = this._namedRoutes.get(name);
+        if (!route) {
+            throw createUrlError('ROUTE_NAME_UNKNOWN', `No route is named "${name}".`);
+        }
+        const path = route.build(params || {}, name);
+        const search = query === undefined ? '' : stringifyQuery(query);
+        return search ? `${path}?${search}` : path;
+    }
+
+    // Every registered route in registration order, including the catch-alls behind mount() and static()
+    routes() {
+        return this._routes.map(route => ({
+            method: route.method,
+            path: route.path,
+            handler: route.handler.name || 'anonymous',
+            middleware: route.middleware.map(fn => fn.name || 'anonymous'),
+            constraints: { ...route.options.constraints },
+            vhost: route.vhost,
+            options: { ...route.options }
+        }));
+    }
+
+    // The route tree as text, one section per virtual host
+    printRoutes(options = {}) {
+        const sections = [this.router.prettyPrint(options)];
+        for (const vhost of this._vhosts) {
+            sections.push(`${vhost.hostname}\n${vhost.app.router.prettyPrint(options)}`);
+        }
+        return sections.filter(Boolean).join('\n');
+    }
+
+    // The app for the request's host, setting req.vhost; null when no virtual host matches
+    _findVirtualHost(req) {
+        const hostname = stripHostPort(String(req.headers.host || '')).toLowerCase();
+        for (const vhost of this._vhosts) {
+            const match = vhost.pattern.exec(hostname);
+            if (match) {
+                req.vhost = createVhostMatch(hostname, match);
+                return vhost.app;
+            }
+        }
+        return null;
+    }
+
+    // No route for this method: HEAD runs the GET route (Node drops the body), and when
+    // other methods match the path, OPTIONS is answered with Allow and the rest get a 405
+    _findFallbackRoute(req, constraints) {
+        const router = this.router;
+        if (req.method === 'HEAD') {
+            const getRoute = router.find('GET', req.pathname, constraints);
+            if (getRoute) return getRoute;
+        }
+        const allowed = new Set();
+        let params = {};
+        for (const method of this._routeMethods) {
+            const match = router.find(method, req.pathname, constraints);
+            if (match) {
+                allowed.add(method);
+                params = match.params;
+            }
+        }
+        if (allowed.size === 0) return null;
+        if (allowed.has('GET')) allowed.add('HEAD');
+        allowed.add('OPTIONS');
+        const allow = formatAllowHeader(allowed);
+        const handler = req.method === 'OPTIONS' ? createAutoOptionsHandler(allow) : createMethodNotAllowedHandler(allow);
+        return { handler, params, store: null };
+    }
+
+    _createMountHandler(target, segmentCount) {
+        const app = this;
+        return async function mountHandler(req, res) {
+            const { url, pathname, baseUrl } = req;
+            const queryIndex = url.indexOf('?');
+            const split = splitMountPath(pathname, segmentCount);
+            if (req.originalUrl === undefined) req.originalUrl = url;
+            req.baseUrl = (baseUrl || '') + split.baseUrl;
+            req.url = split.path + (queryIndex === -1 ? '' : url.slice(queryIndex));
+
+            const restore = () => {
+                req.url = url;
+                req.pathname = pathname;
+                req.baseUrl = baseUrl;
+            };
+            res.once('finish', restore);
+            res.once('close', restore);
+            // The mounted app or handler owns the response from here on
+            res._neo_delegated = true;
+
+            if (target instanceof ZyroAPI) {
+                await target.ready();
+                // Let the sub-app decorate with its own settings, decorators and logger
+                req._neo_decorated_req = false;
+                res._neo_decorated_res = false;
+                req._neo_scopes = undefined;
+                return target._handleRequest(req, res);
+            }
+            return target(req, res, (err) => {
+                restore();
+                if (err) return app._handleError(err, req, res);
+                const notFound = new Error(`Cannot ${req.method} ${req.pathname}`);
+                notFound.statusCode = 404;
+                notFound.code = 'NOT_FOUND';
+                app._handleError(notFound, req, res);
+            });
+        };
+    }
+
+    // Serves files from rootDir under a URL prefix (GET and HEAD)
+    static(prefix, rootDir, options = {}) {
+        if (typeof prefix !== 'string' || typeof rootDir !== 'string') {
+            throw new Error('app.static(prefix, rootDir, options) expects a string prefix and directory.');
+        }
+        const handler = createStaticHandler(rootDir, options);
+        const base = prefix.replace(/\/+$/, '');
+        for (const method of ['GET', 'HEAD']) {
+            // The bare prefix serves the root index (e.g. /assets -> index.html)
+            if (base) this._addRoute(method, base, { hide: true }, handler);
+            this._addRoute(method, `${base}/*`, { hide: true }, handler);
+        }
+        if (this.config.verbose) {
+            this.log.debug(`Serving static files from ${path.resolve(rootDir)} at ${base || '/'}`);
+        }
+        return this;
+    }
+
+    openapi(options = {}) {
+        return generateOpenAPI(this._routes, options);
+    }
+
+    fromOpenAPI(spec, handlers = {}) {
+        if (!isPlainObject(handlers)) {
+            throw new Error('fromOpenAPI() handlers must be an object mapping operationId to handler.');
+        }
+
+        const operations = readOpenAPIOperations(spec);
+        const usedKeys = new Set();
+        let missing = 0;
+
+        for (const operation of operations) {
+            const routeKey = `${operation.method} ${operation.openapiPath}`;
+            const handlerKey = operation.operationId && handlers[operation.operationId] !== undefined
+                ? operation.operationId
+                : routeKey;
+            let handlerArgs = handlers[handlerKey];
+
+            if (handlerArgs === undefined) {
+                missing++;
+                const label = operation.operationId || routeKey;
+                handlerArgs = function notImplemented() {
+                    const err = new Error(`Operation "${label}" is not implemented`);
+                    err.statusCode = 501;
+                    err.code = 'NOT_IMPLEMENTED';
+                    throw err;
+                };
+            } else {
+                usedKeys.add(handlerKey);
+            }
+
+            this._addRoute(operation.method, operation.path, operation.options, ...[].concat(handlerArgs));
+        }
+
+        for (const key of Object.keys(handlers)) {
+            if (!usedKeys.has(key)) this.log.warn(`fromOpenAPI(): handler "${key}" does not match any operation in the document.`);
+        }
+        if (this.config.verbose) {
+            this.log.debug(`Registered ${operations.length} OpenAPI operation(s), ${missing} without handler (501).`);
+        }
+        return this;
+    }
+
     parallel(handlerList) {
         if (!Array.isArray(handlerList) || handlerList.some(h => typeof h !== 'function')) {
             throw new Error('parallel() expects an array of handler functions.');
@@ -751,11 +1920,22 @@ class ZyroAPI extends EventEmitter {
     }
 
     async _handleRequest(req, res) {
+        // A virtual host takes the whole request, before this app's hooks and middleware
+        if (this._vhosts.length > 0) {
+            const vhostApp = this._findVirtualHost(req);
+            if (vhostApp) {
+                await vhostApp.ready();
+                return vhostApp._handleRequest(req, res);
+            }
+        }
+
         // --- Initial Setup (Optimized) ---
         req.id = generateRequestId();
         decorateRequest.call(this, req, this);
         decorateResponse.call(this, res, this);
         res.req = req;
+        // While draining, finish this request and let the client reconnect elsewhere
+        if (this._closing) res.setHeader('Connection', 'close');
         this.emit('request:start', req, res);
 
         // --- onRequest Hook (skip if no handlers) ---
@@ -776,12 +1956,14 @@ class ZyroAPI extends EventEmitter {
         };
         
         res.once('finish', () => {
-            this._runHooks('onResponse', req, res).catch(hookError => {
+            this._runHooks('onResponse', req, res).then(() => this._runScopeHooks('onResponse', req, req, res)).catch(hookError => {
                 req.log.error(`Error during 'onResponse' hook: ${hookError.message}`);
             });
             this.emit('request:finish', req, res);
             res._neo_finished = true;
             res.removeListener('close', cleanup);
+            // A keep-alive socket whose last request just finished is idle now
+            if (this._closing && this.server) setImmediate(() => this.server.closeIdleConnections());
         });
         res.once('close', cleanup);
 
@@ -799,12 +1981,14 @@ class ZyroAPI extends EventEmitter {
             } else {
                 req.pathname = req.url.slice(0, questionMarkIndex);
                 const queryString = req.url.slice(questionMarkIndex + 1);
-                req.query = parseQuery(new URLSearchParams(queryString));
+                req.query = this._queryParser(queryString);
             }
             
             req.hostname = req.headers.host || 'localhost';
             req.href = `${req.protocol}://${req.hostname}${req.url}`;
         } catch (urlError) {
+            // Query parser limit errors (depth, parameter count) keep their own status and code
+            if (urlError.statusCode) return this._handleError(urlError, req, res);
             req.log.error(`Invalid URL: ${req.url} - ${urlError.message}`);
             const err = new Error(`Invalid URL: ${urlError.message}`);
             err.statusCode = 400;
@@ -813,14 +1997,50 @@ class ZyroAPI extends EventEmitter {
         }
 
         // --- Route Matching ---
-        const route = this.router.find(req.method, req.pathname);
+        const constraints = this.router.constrainer.deriveConstraints(req);
+        const route = this.router.find(req.method, req.pathname, constraints) || this._findFallbackRoute(req, constraints);
         let finalRouteHandler = null;
         let routeMiddlewares = [];
+        let routeStore = null;
         
         if (route) {
             finalRouteHandler = route.handler;
             req.params = route.params;
-            routeMiddlewares = route.store?.middlewares || [];
+            routeStore = route.store;
+            routeMiddlewares = routeStore?.middlewares || [];
+            res._neo_serializers = routeStore?.serializers || null;
+            if (routeStore?.etag !== undefined) res._neo_etag = routeStore.etag;
+            req.routeOptions = routeStore?.routeOptions;
+            if (req.routeOptions?.constraints?.version !== undefined) {
+                req.version = req.routeOptions.constraints.version;
+                appendVary(res, 'Accept-Version');
+            }
+            for (const [name, value] of routeStore?.lifecycleHeaders || []) res.setHeader(name, value);
+            if (routeStore?.scope) {
+                req._neo_scopes = getScopeChain(routeStore.scope);
+                // Scope middleware runs after global middleware, before route middleware
+                const scopeMiddlewares = req._neo_scopes.flatMap(scope => scope.middleware.map(entry => entry.fn));
+                routeMiddlewares = [...scopeMiddlewares, ...routeMiddlewares];
+            }
+        }
+
+        const routeOptions = req.routeOptions;
+        if (routeOptions?.bodyLimit !== undefined) {
+            if (Number(req.headers['content-length']) > routeOptions.bodyLimit) {
+                return this._handleError(createBodyLimitError(routeOptions.bodyLimit), req, res);
+            }
+            // Chunked bodies have no Content-Length: count the bytes as a body parser reads them
+            this._limitRequestBody(req, res, routeOptions.bodyLimit);
+        }
+        if (routeOptions?.timeout) this._startRouteTimer(req, res, routeOptions.timeout);
+
+        // Scoped onRequest hooks can only run once the route (and so its scope) is known
+        if (req._neo_scopes) {
+            try {
+                await this._runScopeHooks('onRequest', req, req, res);
+            } catch (hookError) {
+                return this._handleError(hookError, req, res);
+            }
         }
 
         // --- Optimized Middleware Chain Execution ---
@@ -859,9 +2079,25 @@ class ZyroAPI extends EventEmitter {
             // Execute middleware or handler
             if (middlewareToExecute) {
                 try {
+                    if (isHandler && routeStore?.validateRequest) {
+                        const validationErrors = routeStore.validateRequest(req);
+                        if (validationErrors.length > 0) throw createValidationError(validationErrors);
+                    }
+
                     if (isHandler && this._hasHook('preHandler')) {
                         await this._runHooks('preHandler', req, res);
                     }
+                    if (isHandler && req._neo_scopes) {
+                        await this._runScopeHooks('preHandler', req, req, res);
+                    }
+                    if (isHandler && routeStore?.preHandlers.length > 0) {
+                        for (const preHandler of routeStore.preHandlers) {
+                            await preHandler(req, res);
+                            if (res._neo_finished || res.writableEnded) break;
+                        }
+                    }
+                    // A preHandler that responded (e.g. 401 from an auth check) skips the handler
+                    if (isHandler && (res._neo_finished || res.writableEnded)) return;
                     
                     let nextCalled = false;
                     const nextWrapper = (errWrapper) => {
@@ -883,7 +2119,7 @@ class ZyroAPI extends EventEmitter {
                         }
                     }
                     
-                    if (isHandler && !res._neo_finished && !res.writableEnded) {
+                    if (isHandler && !res._neo_finished && !res.writableEnded && !res._neo_sendingFile && !res._neo_delegated) {
                         req.log.warn(`Handler "${middlewareToExecute.name || 'anon'}" finished without ending response.`);
                     }
                 } catch (err) {
@@ -908,4 +2144,4 @@ class ZyroAPI extends EventEmitter {
     }
 }
 
-module.exports = { ZyroAPI };
\ No newline at end of file
+module.exports = { ZyroAPI, Router };
\ No newline at end of file
@@ -1,5 +1,6 @@
 // test/test-suite.js - Comprehensive ZyroAPI Test Suite
 const { ZyroAPI } = require('../lib/zyroapi');
+const { Plugin } = require('../lib/plugins/basePlugin');
 const http = require('http');
 
 // Test utilities
@@ -85,9 +86,7 @@ async function runTests() {
         res.json({ message: 'OPTIONS works' });
     });
 
-    app.head('/test', (req, res) => {
-        res.sendStatus(200);
-    });
+    // HEAD /test is answered by the GET route
 
     // ============================================================
     // TEST CATEGORY 2: Route Parameters
@@ -262,6 +261,690 @@ async function runTests() {
         res.json({ path: req.params['*'] });
     });
 
+    // ============================================================
+    // TEST CATEGORY 13: Request Injection
+    // ============================================================
+    console.log('📍 Testing Request Injection...');
+
+    const injectApp = new ZyroAPI({ verbose: false });
+    injectApp.addHook('onRequest', (req, res) => {
+        res.setHeader('X-Hook', 'onRequest');
+    });
+    injectApp.attach((req, res, next) => {
+        req.globalMiddleware = true;
+        next();
+    });
+    injectApp.post('/echo/:id', routeMiddleware, (req, res) => {
+        res.json({
+            id: req.params.id,
+            globalMiddleware: req.globalMiddleware,
+            routeMiddleware: req.routeMiddleware,
+            contentType: req.headers['content-type']
+        });
+    });
+    injectApp.get('/inject-error', (req, res) => {
+        const err = new Error('Injected failure');
+        err.statusCode = 422;
+        throw err;
+    });
+    injectApp.get('/inject-file', (req, res) => {
+        res.sendFile(__filename);
+    });
+    injectApp.get('/inject-midstream', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.write('partial');
+        throw new Error('Failed mid-stream');
+    });
+
+    // ============================================================
+    // TEST CATEGORY 14: Route Schemas & Validation
+    // ============================================================
+    console.log('📍 Testing Route Schemas...');
+
+    const schemaApp = new ZyroAPI({ verbose: false });
+    schemaApp.plug(ZyroAPI.jsonParser);
+    schemaApp.post('/accounts/:id', {
+        schema: {
+            params: { id: { type: 'integer', minimum: 1 } },
+            querystring: {
+                type: 'object',
+                properties: { mode: { type: 'string', enum: ['full', 'summary'] } },
+                required: ['mode']
+            },
+            headers: { 'X-Tenant': { type: 'string', minLength: 2 } },
+            body: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                    email: { type: 'string', format: 'email' },
+                    role: { type: 'string', default: 'member' },
+                    tags: { type: 'array', items: { type: 'string' } }
+                },
+                additionalProperties: false
+            }
+        }
+    }, (req, res) => {
+        res.json({ id: req.params.id, body: req.body });
+    });
+
+    // ============================================================
+    // TEST CATEGORY 15: Response Serialization
+    // ============================================================
+    console.log('📍 Testing Response Serialization...');
+
+    const serializeApp = new ZyroAPI({ verbose: false });
+    serializeApp.get('/profile', {
+        schema: {
+            response: {
+                200: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string' },
+                        roles: { type: 'array', items: { type: 'string' } }
+                    }
+                },
+                '4xx': {
+                    type: 'object',
+                    properties: { error: { type: 'object', properties: { message: { type: 'string' } } } }
+                }
+            }
+        }
+    }, (req, res) => {
+        if (req.query.missing) {
+            const err = new Error('Profile not found');
+            err.statusCode = 404;
+            throw err;
+        }
+        res.send({ id: 1, name: 'Neo', passwordHash: 'secret', roles: ['admin'] });
+    });
+
+    // ============================================================
+    // TEST CATEGORY 16: OpenAPI Generation
+    // ============================================================
+    console.log('📍 Testing OpenAPI Generation...');
+
+    const openapiApp = new ZyroAPI({ verbose: false });
+    openapiApp.plug(ZyroAPI.openapi, { info: { title: 'Accounts API', version: '2.1.0' } });
+    openapiApp.group('/v1', (v1) => {
+        v1.get('/accounts/:accountId', {
+            summary: 'Fetch an account',
+            tags: ['accounts'],
+            schema: {
+                params: { accountId: { type: 'integer' } },
+                querystring: { type: 'object', properties: { expand: { type: 'boolean' } } },
+                response: { 200: { type: 'object', properties: { id: { type: 'integer' } } } }
+            }
+        }, (req, res) => res.json({ id: req.params.accountId }));
+        v1.post('/accounts', { schema: { body: { type: 'object', required: ['email'] } } }, (req, res) => res.sendStatus(201));
+    });
+
+    // ============================================================
+    // TEST CATEGORY 17: Routes from OpenAPI
+    // ============================================================
+    console.log('📍 Testing Routes from OpenAPI...');
+
+    const contractApp = new ZyroAPI({ verbose: false });
+    contractApp.plug(ZyroAPI.jsonParser);
+    contractApp.fromOpenAPI({
+        openapi: '3.0.3',
+        info: { title: 'Pets', version: '1.0.0' },
+        paths: {
+            '/pets': {
+                get: {
+                    operationId: 'listPets',
+                    parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 50 } }],
+                    responses: { 200: { description: 'OK' } }
+                },
+                post: {
+                    operationId: 'createPet',
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+                    },
+                    responses: { 201: { description: 'Created' } }
+                }
+            },
+            '/pets/{petId}': {
+                parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+                get: { operationId: 'getPet', responses: { 200: { description: 'OK' } } },
+                delete: { operationId: 'deletePet', responses: { 204: { description: 'Deleted' } } }
+            }
+        },
+        components: {
+            schemas: { Pet: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } }
+        }
+    }, {
+        listPets: (req, res) => res.json({ limit: req.query.limit }),
+        createPet: (req, res) => res.status(201).json(req.body),
+        getPet: (req, res) => res.json({ id: req.params.petId })
+    });
+
+    // ============================================================
+    // TEST CATEGORY 18: Multipart Uploads
+    // ============================================================
+    console.log('📍 Testing Multipart Uploads...');
+
+    const uploadApp = new ZyroAPI({ verbose: false });
+    uploadApp.plug(ZyroAPI.multipart, { limits: { fileSize: 64, files: 2 } });
+    uploadApp.post('/upload', (req, res) => {
+        res.json({
+            fields: req.body,
+            files: req.files.map(file => ({ ...file, content: require('fs').readFileSync(file.path, 'utf8') }))
+        });
+    });
+
+    const streamApp = new ZyroAPI({ verbose: false });
+    streamApp.plug(ZyroAPI.multipart, {
+        onFile: async (stream) => {
+            let bytes = 0;
+            for await (const chunk of stream) bytes += chunk.length;
+            return { bytes };
+        }
+    });
+    streamApp.post('/upload', (req, res) => res.json(req.files));
+
+    const multipartBody = (parts, boundary = 'zyro-boundary') => ({
+        headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+        payload: parts.map(part => `--${boundary}\r\n` +
+            `Content-Disposition: form-data; name="${part.name}"${part.filename ? `; filename="${part.filename}"` : ''}\r\n` +
+            (part.type ? `Content-Type: ${part.type}\r\n` : '') +
+            `\r\n${part.value}\r\n`).join('') + `--${boundary}--\r\n`
+    });
+
+    // ============================================================
+    // TEST CATEGORY 19: URL-encoded Forms
+    // ============================================================
+    console.log('📍 Testing URL-encoded Forms...');
+
+    const formApp = new ZyroAPI({ verbose: false });
+    formApp.plug(ZyroAPI.urlencoded, { limit: 200, depth: 2, parameterLimit: 6 });
+    formApp.post('/form', (req, res) => res.json(req.body));
+
+    const postForm = (payload) => formApp.inject({
+        method: 'POST', url: '/form',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        payload
+    });
+
+    // ============================================================
+    // TEST CATEGORY 20: Query Parser Modes
+    // ============================================================
+    console.log('📍 Testing Query Parser Modes...');
+
+    const listSchema = {
+        schema: { querystring: { tag: { type: 'array', items: { type: 'string' } }, page: { type: 'integer' }, active: { type: 'boolean' } } }
+    };
+    const simpleQueryApp = new ZyroAPI({ verbose: false });
+    simpleQueryApp.get('/list', (req, res) => res.json(req.query));
+
+    const extendedQueryApp = new ZyroAPI({ verbose: false, queryParser: { mode: 'extended', depth: 2 }, coerceQuery: true });
+    extendedQueryApp.get('/list', listSchema, (req, res) => res.json(req.query));
+    extendedQueryApp.get('/raw', (req, res) => res.json(req.query));
+
+    const customQueryApp = new ZyroAPI({ verbose: false, queryParser: (queryString) => ({ raw: queryString }) });
+    customQueryApp.get('/list', (req, res) => res.json(req.query));
+
+    // ============================================================
+    // TEST CATEGORY 21: Cookies
+    // ============================================================
+    console.log('📍 Testing Cookies...');
+
+    const cookieApp = new ZyroAPI({ verbose: false, cookieSecret: ['current-secret', 'old-secret'] });
+    cookieApp.get('/set', (req, res) => {
+        res.cookie('theme', 'dark mode', { maxAge: 60000, httpOnly: true, sameSite: 'lax' })
+            .cookie('uid', '42', { signed: true })
+            .clearCookie('legacy')
+            .send('ok');
+    });
+    cookieApp.get('/read', (req, res) => res.json({ cookies: req.cookies, signed: req.signedCookies }));
+
+    const oldSecretApp = new ZyroAPI({ verbose: false, cookieSecret: 'old-secret' });
+    oldSecretApp.get('/set', (req, res) => res.cookie('uid', '7', { signed: true }).send('ok'));
+
+    // ============================================================
+    // TEST CATEGORY 22: Sessions
+    // ============================================================
+    console.log('📍 Testing Sessions...');
+
+    const sessionApp = new ZyroAPI({ verbose: false, cookieSecret: 'session-secret' });
+    sessionApp.plug(ZyroAPI.session, { store: new ZyroAPI.session.MemoryStore({ sweepInterval: 0 }) });
+    sessionApp.get('/visit', (req, res) => {
+        req.session.views = (req.session.views || 0) + 1;
+        res.json({ views: req.session.views });
+    });
+    sessionApp.get('/peek', (req, res) => res.json({ views: req.session.views ?? null }));
+    let rawSessionEnded = null;
+    const rawSessionApp = new ZyroAPI({ verbose: false });
+    rawSessionApp.plug(ZyroAPI.session, { store: new ZyroAPI.session.MemoryStore({ sweepInterval: 0 }) });
+    rawSessionApp.get('/peek', (req, res) => res.json({ views: req.session.views ?? null }));
+    rawSessionApp.get('/raw', (req, res) => {
+        req.session.views = 1;
+        res.setHeader('Content-Type', 'text/plain');
+        res.end('raw body');
+        rawSessionEnded = res.writableEnded;
+    });
+    sessionApp.post('/login', async (req, res) => {
+        await req.session.regenerate();
+        req.session.user = 'neo';
+        res.json({ user: req.session.user });
+    });
+    sessionApp.post('/logout', async (req, res) => {
+        await req.session.destroy();
+        res.sendStatus(204);
+    });
+
+    const rollingSessionApp = new ZyroAPI({ verbose: false });
+    rollingSessionApp.plug(ZyroAPI.session, { rolling: true, store: new ZyroAPI.session.MemoryStore({ sweepInterval: 0 }) });
+    rollingSessionApp.get('/peek', (req, res) => res.json({ views: req.session.views ?? null }));
+    rollingSessionApp.get('/visit', (req, res) => res.json({ views: req.session.views = (req.session.views || 0) + 1 }));
+
+    const sessionDir = require('path').join(require('os').tmpdir(), `zyroapi-test-sessions-${process.pid}`);
+    const fileStore = new ZyroAPI.session.FileStore({ dir: sessionDir, sweepInterval: 0 });
+
+    const sessionCookie = (response) => response.headers['set-cookie'][0].split(';')[0];
+
+    // ============================================================
+    // TEST CATEGORY 23: Static Files
+    // ============================================================
+    console.log('📍 Testing Static Files...');
+
+    const staticDir = require('path').join(require('os').tmpdir(), `zyroapi-test-static-${process.pid}`);
+    require('fs').mkdirSync(require('path').join(staticDir, 'docs'), { recursive: true });
+    require('fs').writeFileSync(require('path').join(staticDir, 'index.html'), '<h1>home</h1>');
+    require('fs').writeFileSync(require('path').join(staticDir, 'about.html'), 'about');
+    require('fs').writeFileSync(require('path').join(staticDir, 'app.js'), 'console.log(1)');
+    require('fs').writeFileSync(require('path').join(staticDir, 'app.js.br'), 'BROTLI');
+    require('fs').writeFileSync(require('path').join(staticDir, '.env'), 'SECRET=1');
+
+    const staticApp = new ZyroAPI({ verbose: false });
+    staticApp.static('/assets', staticDir, { extensions: ['html'], maxAge: 60000, immutable: true });
+    staticApp.static('/private', staticDir, { dotfiles: 'deny', precompressed: false });
+
+    // ============================================================
+    // TEST CATEGORY 24: Range and Conditional File Requests
+    // ============================================================
+    console.log('📍 Testing Range and Conditional File Requests...');
+
+    const mediaFile = require('path').join(require('os').tmpdir(), `zyroapi-test-media-${process.pid}.bin`);
+    const mediaBytes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    require('fs').writeFileSync(mediaFile, mediaBytes);
+
+    const mediaApp = new ZyroAPI({ verbose: false });
+    mediaApp.get('/media', (req, res) => res.sendFile(mediaFile));
+
+    // ============================================================
+    // TEST CATEGORY 25: Compression
+    // ============================================================
+    console.log('📍 Testing Compression...');
+
+    const compressApp = new ZyroAPI({ verbose: false });
+    compressApp.plug(ZyroAPI.compress, { threshold: 512 });
+    const bigList = Array.from({ length: 200 }, (_, i) => ({ id: i, name: `Item ${i}` }));
+    compressApp.get('/list', (req, res) => res.json(bigList));
+    compressApp.get('/tiny', (req, res) => res.json({ ok: true }));
+    compressApp.get('/image', (req, res) => res.type('png').send(Buffer.alloc(4096)));
+    compressApp.get('/source', (req, res) => res.sendFile(__filename));
+
+    // ============================================================
+    // TEST CATEGORY 26: ETags and Preconditions
+    // ============================================================
+    console.log('📍 Testing ETags and Preconditions...');
+
+    const etagApp = new ZyroAPI({ verbose: false });
+    const etagDoc = { version: 1, etag: '"v1"' };
+    etagApp.get('/report', (req, res) => res.json({ total: 42 }));
+    etagApp.get('/clock', { etag: false }, (req, res) => res.send('tick'));
+    etagApp.post('/report', (req, res) => res.json({ total: 43 }));
+    etagApp.get('/dated', (req, res) => res.setHeader('Last-Modified', new Date(0).toUTCString()).send('old'));
+    etagApp.put('/doc', (req, res) => {
+        req.checkPreconditions({ etag: etagDoc.etag });
+        etagDoc.version += 1;
+        etagDoc.etag = `"v${etagDoc.version}"`;
+        res.setHeader('ETag', etagDoc.etag).json({ version: etagDoc.version });
+    });
+    const strongEtagApp = new ZyroAPI({ verbose: false, etag: 'strong' });
+    strongEtagApp.get('/report', (req, res) => res.json({ total: 42 }));
+
+    // ============================================================
+    // TEST CATEGORY 27: Graceful Shutdown
+    // ============================================================
+    console.log('📍 Testing Graceful Shutdown...');
+
+    const shutdownEvents = [];
+    const createShutdownApp = () => {
+        const shutdownApp = new ZyroAPI({ verbose: false });
+        shutdownApp.plug(ZyroAPI.session, {
+            store: { get: async () => null, set: async () => {}, destroy: async () => {}, close: () => shutdownEvents.push('unload') }
+        });
+        shutdownApp.addHook('onClose', () => shutdownEvents.push('onClose'));
+        shutdownApp.get('/slow', async (req, res) => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            res.send('done');
+        });
+        shutdownApp.get('/hang', () => new Promise(() => {}));
+        return shutdownApp;
+    };
+    const requestOnce = (port, path, agent) => new Promise((resolve) => {
+        http.get({ hostname: '127.0.0.1', port, path, agent }, (response) => {
+            let data = '';
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body: data }));
+        }).on('error', err => resolve({ error: err }));
+    });
+    const launchOnFreePort = (targetApp) => new Promise((resolve) => {
+        const launched = targetApp.launch(0, '127.0.0.1', () => resolve(launched.address().port));
+    });
+
+    // ============================================================
+    // TEST CATEGORY 28: Plugin Lifecycle
+    // ============================================================
+    console.log('📍 Testing Plugin Lifecycle...');
+
+    const pluginLoadOrder = [];
+    class DatabasePlugin extends Plugin {
+        async load(app) {
+            await new Promise(resolve => setTimeout(resolve, 30));
+            app.attach((req, res, next) => { req.db = 'connected'; next(); });
+            pluginLoadOrder.push('DatabasePlugin');
+        }
+    }
+    class RepositoryPlugin extends Plugin {
+        static dependencies = [DatabasePlugin];
+        load(app) {
+            pluginLoadOrder.push('RepositoryPlugin');
+            app.get('/repo', (req, res) => res.json({ db: req.db, loaded: [...app.plugins.keys()] }));
+        }
+    }
+    const lifecycleApp = new ZyroAPI({ verbose: false });
+    lifecycleApp.plug(RepositoryPlugin).plug(DatabasePlugin);
+
+    class OrphanPlugin extends Plugin {
+        static dependencies = ['AuthPlugin'];
+        load() {}
+    }
+    class PingPlugin extends Plugin {
+        static dependencies = ['PongPlugin'];
+        load() {}
+    }
+    class PongPlugin extends Plugin {
+        static dependencies = ['PingPlugin'];
+        load() {}
+    }
+    class StuckPlugin extends Plugin {
+        static loadTimeout = 30;
+        load() { return new Promise(() => {}); }
+    }
+    class BrokenPlugin extends Plugin {
+        async load() { throw new Error('connection refused'); }
+    }
+    const readyError = (plugins) => {
+        const failingApp = new ZyroAPI({ verbose: false });
+        for (const PluginClass of plugins) failingApp.plug(PluginClass);
+        return failingApp.ready().then(() => null, err => err);
+    };
+
+    // ============================================================
+    // TEST CATEGORY 29: Plugin Scopes
+    // ============================================================
+    console.log('📍 Testing Plugin Scopes...');
+
+    const scopeEvents = [];
+    class BillingPlugin extends Plugin {
+        load(app) {
+            app.attach((req, res, next) => {
+                if (req.headers['x-team'] !== 'billing') {
+                    const err = new Error('Billing team only');
+                    err.statusCode = 401;
+                    return next(err);
+                }
+                next();
+            });
+            app.addHook('onRequest', (req) => { scopeEvents.push(`billing:${req.pathname}`); });
+            app.addHook('onClose', () => { scopeEvents.push('billing:close'); });
+            app.error((err, req, res) => res.status(err.statusCode || 500).json({ billingError: err.message }));
+            app.get('/invoices', (req, res) => res.json({ invoices: [] }));
+            app.get('/fail', () => { throw new Error('ledger offline'); });
+        }
+    }
+    const scopedApp = new ZyroAPI({ verbose: false });
+    scopedApp.plug(BillingPlugin, { prefix: '/billing' });
+    scopedApp.register((reports) => {
+        reports.attach((req, res, next) => { req.trail = ['reports']; next(); });
+        reports.register((daily) => {
+            daily.attach((req, res, next) => { req.trail.push('daily'); next(); });
+            daily.get('/summary', (req, res) => res.json({ trail: req.trail }));
+        }, { prefix: '/daily' });
+        reports.get('/', (req, res) => res.json({ trail: req.trail }));
+    }, { prefix: '/reports' });
+    scopedApp.get('/public', (req, res) => res.json({ trail: req.trail || null }));
+    scopedApp.get('/boom', () => { throw new Error('root failure'); });
+
+    let whoAmILoads = 0;
+    class WhoAmIPlugin extends Plugin {
+        load(app) {
+            whoAmILoads++;
+            app.get('/me', (req, res) => res.json({ path: req.pathname }));
+        }
+    }
+    const multiScopeApp = new ZyroAPI({ verbose: false });
+    multiScopeApp.plug(WhoAmIPlugin, { prefix: '/billing' });
+    multiScopeApp.plug(WhoAmIPlugin, { prefix: '/search' });
+    multiScopeApp.plug(WhoAmIPlugin, { prefix: '/billing' });
+
+    // ============================================================
+    // TEST CATEGORY 30: Decorators
+    // ============================================================
+    console.log('📍 Testing Decorators...');
+
+    class UsersDbPlugin extends Plugin {
+        load(app) {
+            app.decorate('usersDb', { find: id => ({ id, name: `User ${id}` }) });
+            app.decorateRequest('tenant', { getter() { return this.headers['x-tenant'] || 'public'; } });
+            app.decorateResponse('notFound', function (what) { return this.status(404).json({ missing: what }); });
+        }
+    }
+    class ProfilePlugin extends Plugin {
+        static dependencies = [UsersDbPlugin];
+        static decorators = { app: ['usersDb'], request: ['tenant'], response: ['notFound'] };
+        load(app) {
+            app.get('/profile/:id', (req, res) => {
+                if (req.params.id === '0') return res.notFound('user');
+                res.json({ tenant: req.tenant, user: app.usersDb.find(req.params.id) });
+            });
+        }
+    }
+    class NeedsCachePlugin extends Plugin {
+        static decorators = { app: ['cache'] };
+        load() {}
+    }
+    const decoratedApp = new ZyroAPI({ verbose: false });
+    decoratedApp.plug(ProfilePlugin).plug(UsersDbPlugin);
+    decoratedApp.register((scope) => scope.decorate('scopedOnly', true), { prefix: '/scoped' });
+    const decoratorError = (fn) => {
+        try {
+            fn();
+            return null;
+        } catch (err) {
+            return err;
+        }
+    };
+
+    // ============================================================
+    // TEST CATEGORY 31: Routers and Mounting
+    // ============================================================
+    console.log('📍 Testing Routers and Mounting...');
+
+    const settingsRouter = ZyroAPI.Router()
+        .get('/', (req, res) => res.json({ settings: true, trail: req.trail }));
+    const usersRouter = ZyroAPI.Router()
+        .attach((req, res, next) => { req.trail = ['users']; next(); })
+        .get('/', (req, res) => res.json({ users: [], trail: req.trail }))
+        .get('/:id', (req, res) => res.json({ id: req.params.id, tenant: req.params.tenant }))
+        .mount('/:id/settings', settingsRouter);
+
+    const legacyApp = new ZyroAPI({ verbose: false });
+    legacyApp.get('/status', (req, res) => res.json({ url: req.url, baseUrl: req.baseUrl, originalUrl: req.originalUrl, query: req.query }));
+
+    let rawMountReq = null;
+    const mountApp = new ZyroAPI({ verbose: false });
+    mountApp.mount('/users', usersRouter);
+    mountApp.mount('/tenants/:tenant/users', usersRouter);
+    mountApp.mount('/legacy', legacyApp);
+    mountApp.mount('/raw/:version', (req, res, next) => {
+        rawMountReq = req;
+        if (req.url.startsWith('/missing')) return next();
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`${req.baseUrl} ${req.url}`);
+    });
+    mountApp.get('/plain', (req, res) => res.json({ trail: req.trail || null }));
+
+    // ============================================================
+    // TEST CATEGORY 32: Route Options
+    // ============================================================
+    console.log('📍 Testing Route Options...');
+
+    const routeOptionsApp = new ZyroAPI({ verbose: false });
+    routeOptionsApp.plug(ZyroAPI.jsonParser);
+    routeOptionsApp.addHook('preHandler', async (req, res) => {
+        if (req.routeOptions?.config.public) return;
+        if (req.headers.authorization !== 'token') res.status(401).json({ error: 'Unauthorized' });
+    });
+    routeOptionsApp.route({
+        method: ['GET', 'POST'],
+        url: '/items/:id',
+        config: { public: true, label: 'items' },
+        preHandler: [
+            (req) => { req.steps = ['first']; },
+            (req) => { req.steps.push('second'); }
+        ],
+        handler: (req, res) => res.json({ method: req.method, route: req.routeOptions.url, label: req.routeOptions.config.label, steps: req.steps })
+    });
+    routeOptionsApp.get('/private', (req, res) => res.json({ ok: true }));
+    routeOptionsApp.post('/upload', { config: { public: true }, bodyLimit: '10b' }, (req, res) => res.json({ ok: true }));
+    routeOptionsApp.post('/upload-json', { config: { public: true }, bodyLimit: '10b' }, (req, res) => res.json({ ok: true }));
+    routeOptionsApp.post('/upload-raw', { config: { public: true }, bodyLimit: '10b' }, (req, res) => {
+        let received = 0;
+        req.on('data', chunk => { received += chunk.length; });
+        req.on('end', () => res.json({ received }));
+    });
+    routeOptionsApp.get('/slow', { config: { public: true }, timeout: 30 }, async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, 80));
+        if (!res.headersSent) res.json({ late: true });
+    });
+    routeOptionsApp.get('/hosted', { config: { public: true }, constraints: { host: 'api.example.com' } }, (req, res) => res.json({ api: true }));
+
+    // ============================================================
+    // TEST CATEGORY 33: Versioning and Host Constraints
+    // ============================================================
+    console.log('📍 Testing Versioning and Host Constraints...');
+
+    const versionedApp = new ZyroAPI({ verbose: false });
+    versionedApp.addHook('onRequest', (req, res) => {
+        if (req.headers.origin) res.setHeader('Vary', 'Origin');
+    });
+    versionedApp.group('/api', { version: '1.0.0', deprecation: new Date('2026-01-01T00:00:00Z'), sunset: '2027-01-01T00:00:00Z' }, (api) => {
+        api.get('/users', (req, res) => res.json({ version: req.version, users: ['v1'] }));
+    });
+    versionedApp.group('/api', { version: '2.1.0' }, (api) => {
+        api.get('/users', (req, res) => res.json({ version: req.version, users: ['v2'] }));
+        api.get('/users/:id', { constraints: { version: '2.0.0' } }, (req, res) => res.json({ version: req.version }));
+    });
+    versionedApp.group('/api', { version: '3.0.0' }, (api) => {
+        api.register(async (orders) => {
+            await new Promise(resolve => setImmediate(resolve));
+            orders.get('/orders', (req, res) => res.json({ version: req.version }));
+        });
+    });
+    versionedApp.get('/api/users', (req, res) => res.json({ version: req.version || null }));
+    versionedApp.get('/tenant', { constraints: { host: /^(\w+)\.example\.com$/ } }, (req, res) => res.json({ host: req.hostname }));
+
+    // ============================================================
+    // TEST CATEGORY 34: Virtual Hosts
+    // ============================================================
+    console.log('📍 Testing Virtual Hosts...');
+
+    const apiHostApp = new ZyroAPI({ verbose: false });
+    apiHostApp.attach((req, res, next) => { res.setHeader('X-Served-By', 'api'); next(); });
+    apiHostApp.get('/users', (req, res) => res.json({ app: 'api', vhost: req.vhost.hostname }));
+    apiHostApp.error((err, req, res) => res.status(err.statusCode || 500).json({ apiError: err.code }));
+
+    const tenantRouter = ZyroAPI.Router()
+        .get('/', (req, res) => res.json({ tenant: req.vhost.tenant, region: req.vhost[1], count: req.vhost.length }));
+
+    const vhostApp = new ZyroAPI({ verbose: false });
+    vhostApp.attach((req, res, next) => {
+        if (req.headers['x-root-key'] !== 'secret') return res.status(401).json({ blockedBy: 'root' });
+        next();
+    });
+    vhostApp.vhost('api.example.com', apiHostApp);
+    vhostApp.vhost(':tenant.*.tenant.example.com', tenantRouter);
+    vhostApp.get('/users', (req, res) => res.json({ app: 'main' }));
+
+    const hostRoutesApp = new ZyroAPI({ verbose: false });
+    hostRoutesApp.vhost('a.example.com', ZyroAPI.Router()
+        .get('/items/:id', { name: 'item' }, (req, res) => res.json({ host: 'a' }))
+        .get('/home-a', { name: 'home' }, (req, res) => res.json({ home: 'a' }))
+        .get('/go', (req, res) => res.redirectTo('home')));
+    hostRoutesApp.vhost('b.example.com', ZyroAPI.Router()
+        .delete('/items/:id', { name: 'item' }, (req, res) => res.json({ host: 'b' }))
+        .get('/home-b', { name: 'home' }, (req, res) => res.json({ home: 'b' }))
+        .get('/go', (req, res) => res.redirectTo('home')));
+
+    // ============================================================
+    // TEST CATEGORY 35: Automatic HEAD, OPTIONS and 405
+    // ============================================================
+    console.log('📍 Testing Automatic HEAD, OPTIONS and 405...');
+
+    const methodsApp = new ZyroAPI({ verbose: false });
+    methodsApp.get('/articles/:id', (req, res) => res.setHeader('X-Article', req.params.id).json({ id: req.params.id, title: 'Hello' }));
+    methodsApp.put('/articles/:id', (req, res) => res.json({ updated: true }));
+    methodsApp.post('/articles', (req, res) => res.status(201).json({ created: true }));
+    methodsApp.options('/articles', (req, res) => res.setHeader('Allow', 'POST, OPTIONS').json({ custom: true }));
+    methodsApp.head('/explicit', (req, res) => res.setHeader('X-Explicit', 'head').sendStatus(200));
+    methodsApp.get('/explicit', (req, res) => res.json({ get: true }));
+
+    // ============================================================
+    // TEST CATEGORY 36: Route Introspection
+    // ============================================================
+    console.log('📍 Testing Route Introspection...');
+
+    const seenRoutes = [];
+    class AuditPlugin extends Plugin {
+        load(app) {
+            app.addHook('onRoute', (route) => {
+                seenRoutes.push(`${route.method} ${route.url}`);
+                if (route.options.config?.audited) route.middleware.unshift(function auditTrail(req, res, next) { res.setHeader('X-Audited', 'yes'); next(); });
+            });
+            app.get('/audit/log', { config: { audited: true } }, function auditLog(req, res) { res.json({ ok: true }); });
+        }
+    }
+
+    const introspectApp = new ZyroAPI({ verbose: false });
+    introspectApp.plug(AuditPlugin, { prefix: '/admin' });
+    introspectApp.group('/api', (api) => {
+        api.get('/items/:id', { constraints: { version: '1.0.0' } }, function loadItem(req, res, next) { next(); }, function getItem(req, res) { res.json({}); });
+    });
+    introspectApp.get('/health', (req, res) => res.json({ ok: true }));
+
+    // ============================================================
+    // TEST CATEGORY 37: Named Routes
+    // ============================================================
+    console.log('📍 Testing Named Routes...');
+
+    const namedApp = new ZyroAPI({ verbose: false });
+    namedApp.group('/api/v2', (api) => {
+        api.get('/users/:id', { name: 'user' }, (req, res) => res.json({ self: req.app.url('user', req.params), posts: req.app.url('userPosts', { id: req.params.id }, { page: 2, tag: ['a b', 'c'] }) }));
+        api.get('/users/:id/posts', { name: 'userPosts' }, (req, res) => res.json({}));
+        api.get('/files/*', { name: 'file' }, (req, res) => res.json({}));
+        api.get('/range/:from-:to', { name: 'range' }, (req, res) => res.json({}));
+    });
+    namedApp.get('/old-profile/:id', (req, res) => res.redirectTo('user', { id: req.params.id }, 301));
+    const namedSubApp = new ZyroAPI({ verbose: false });
+    namedSubApp.get('/login', { name: 'login' }, (req, res) => res.json({}));
+    namedSubApp.get('/start', (req, res) => res.redirectTo('login'));
+    namedApp.mount('/auth', namedSubApp);
+
     // ============================================================
     // Start Server and Run Tests
     // ============================================================
@@ -527,6 +1210,591 @@ async function runTests() {
             });
             assert(test27.statusCode === 404, '404 handling works');
 
+            // Test 28: Injection runs hooks, global and route middleware
+            const test28 = await injectApp.inject({
+                method: 'POST',
+                url: '/echo/42',
+                payload: { hello: 'world' }
+            });
+            const test28Body = test28.json();
+            assert(test28.statusCode === 200, 'inject() resolves with status code');
+            assert(test28.headers['x-hook'] === 'onRequest', 'inject() runs onRequest hooks');
+            assert(test28Body.id === '42' && test28Body.globalMiddleware && test28Body.routeMiddleware, 'inject() runs the full middleware chain');
+            assert(test28Body.contentType === 'application/json', 'inject() serializes object payloads as JSON');
+            assert(test28.headers['content-length'] === Buffer.byteLength(test28.body), 'inject() exposes Content-Length');
+
+            // Test 29: Injection goes through the error handler
+            const test29 = await injectApp.inject('/inject-error');
+            assert(test29.statusCode === 422 && test29.json().error.message === 'Injected failure', 'inject() routes errors through _handleError');
+
+            // Test 30: Injection captures streamed responses
+            const test30 = await injectApp.inject({ url: '/inject-file' });
+            assert(test30.statusCode === 200 && test30.body.includes('TEST CATEGORY 13'), 'inject() captures res.sendFile streams');
+            const test30Reset = await injectApp.inject('/inject-midstream').then(() => null, err => err);
+            assert(test30Reset && test30Reset.code === 'ECONNRESET' && test30Reset.rawPayload.toString() === 'partial', 'inject() rejects when the response is cut off mid-stream');
+
+            // Test 31: Injection against the main app without a socket
+            const test31 = await app.inject({ method: 'GET', url: '/search?q=inject' });
+            assert(test31.json().query.q === 'inject', 'inject() parses query strings');
+
+            // Test 32: Valid request passes schema validation
+            const test32 = await schemaApp.inject({
+                method: 'POST',
+                url: '/accounts/7?mode=full',
+                headers: { 'X-Tenant': 'acme' },
+                payload: { email: 'neo@example.com' }
+            });
+            const test32Body = test32.json();
+            assert(test32.statusCode === 200, 'Valid request passes schema validation');
+            assert(test32Body.id === 7, 'Path params are coerced to schema types');
+            assert(test32Body.body.role === 'member', 'Schema defaults are applied to the body');
+
+            // Test 33: Invalid request is rejected with structured errors
+            const test33 = await schemaApp.inject({
+                method: 'POST',
+                url: '/accounts/0?mode=everything',
+                headers: { 'X-Tenant': 'a' },
+                payload: { email: 'not-an-email', tags: [1], admin: true }
+            });
+            const test33Paths = test33.json().error.validation.map(e => e.path);
+            assert(test33.statusCode === 400, 'Schema violations return 400');
+            assert(test33.json().error.code === 'VALIDATION_ERROR', 'Schema violations use VALIDATION_ERROR code');
+            assert(['params.id', 'querystring.mode', 'headers.x-tenant', 'body.email', 'body.tags[0]', 'body.admin']
+                .every(p => test33Paths.includes(p)), 'Validation errors list every failing path');
+
+            // Test 34: Missing required values are reported
+            const test34 = await schemaApp.inject({ method: 'POST', url: '/accounts/1', payload: {} });
+            const test34Paths = test34.json().error.validation.map(e => e.path);
+            assert(test34Paths.includes('querystring.mode') && test34Paths.includes('body.email'), 'Missing required properties are reported');
+
+            // Test 35: Response schema strips undeclared fields
+            const test35 = await serializeApp.inject('/profile');
+            assert(test35.body === '{"id":1,"name":"Neo","roles":["admin"]}', 'Response schema strips undeclared properties');
+            assert(test35.headers['content-length'] === Buffer.byteLength(test35.body), 'Content-Length matches serialized output');
+
+            // Test 36: Status-range response schemas apply to errors
+            const test36 = await serializeApp.inject('/profile?missing=1');
+            assert(test36.statusCode === 404 && test36.body === '{"error":{"message":"Profile not found"}}', '4xx response schema applies to error responses');
+
+            // Test 37: app.openapi() builds paths from registered routes
+            const test37 = openapiApp.openapi();
+            const test37Get = test37.paths['/v1/accounts/{accountId}']?.get;
+            assert(test37.openapi === '3.1.0', 'openapi() produces an OpenAPI 3.1 document');
+            assert(test37Get && test37Get.summary === 'Fetch an account' && test37Get.tags[0] === 'accounts', 'openapi() includes group prefixes, summaries and tags');
+            assert(test37Get.parameters.some(p => p.in === 'path' && p.name === 'accountId' && p.schema.type === 'integer'), 'openapi() converts path params to {param} syntax');
+            assert(test37Get.parameters.some(p => p.in === 'query' && p.name === 'expand'), 'openapi() lists querystring parameters');
+            assert(test37.paths['/v1/accounts'].post.requestBody.content['application/json'].schema.required[0] === 'email', 'openapi() documents request bodies');
+
+            // Test 38: OpenAPI plugin serves the document
+            const test38 = await openapiApp.inject('/openapi.json');
+            assert(test38.statusCode === 200 && test38.json().info.title === 'Accounts API', 'OpenAPI plugin serves /openapi.json');
+            assert(!test38.json().paths['/openapi.json'], 'OpenAPI plugin hides its own route');
+
+            // Test 39: OpenAPI operations are mapped to handlers by operationId
+            const test39 = await contractApp.inject('/pets/12');
+            assert(test39.statusCode === 200 && test39.json().id === 12, 'fromOpenAPI() maps operationId to handler with {param} paths');
+
+            // Test 40: Query parameters are validated and coerced from the spec
+            const test40 = await contractApp.inject('/pets?limit=20');
+            const test40Invalid = await contractApp.inject('/pets?limit=500');
+            assert(test40.json().limit === 20, 'fromOpenAPI() coerces query parameters to spec types');
+            assert(test40Invalid.statusCode === 400, 'fromOpenAPI() validates query parameters');
+
+            // Test 41: Request bodies are validated against referenced schemas
+            const test41 = await contractApp.inject({ method: 'POST', url: '/pets', payload: { name: 'Rex' } });
+            const test41Invalid = await contractApp.inject({ method: 'POST', url: '/pets', payload: { species: 'dog' } });
+            assert(test41.statusCode === 201 && test41.json().name === 'Rex', 'fromOpenAPI() accepts valid request bodies');
+            assert(test41Invalid.statusCode === 400 && test41Invalid.json().error.validation[0].path === 'body.name', 'fromOpenAPI() validates request bodies');
+
+            // Test 42: Operations without handlers respond 501
+            const test42 = await contractApp.inject({ method: 'DELETE', url: '/pets/3' });
+            assert(test42.statusCode === 501 && test42.json().error.code === 'NOT_IMPLEMENTED', 'fromOpenAPI() answers 501 for missing handlers');
+
+            // Test 43: Multipart fields and files are parsed
+            const test43 = await uploadApp.inject({
+                method: 'POST', url: '/upload', ...multipartBody([
+                    { name: 'title', value: 'Holiday' },
+                    { name: 'tag', value: 'beach' },
+                    { name: 'tag', value: 'sun' },
+                    { name: 'photo', filename: 'a.txt', type: 'text/plain', value: 'hello\r\nworld' }
+                ])
+            });
+            const test43File = test43.json().files[0];
+            assert(test43.statusCode === 200 && test43.json().fields.title === 'Holiday', 'Multipart fields are parsed into req.body');
+            assert(test43.json().fields.tag.join(',') === 'beach,sun', 'Repeated multipart fields become arrays');
+            assert(test43File.filename === 'a.txt' && test43File.mimeType === 'text/plain' && test43File.content === 'hello\r\nworld', 'Uploaded files are written to the temp directory');
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert(!require('fs').existsSync(test43File.path), 'Temp files are removed after the response');
+
+            // Test 44: Upload limits are enforced
+            const test44Size = await uploadApp.inject({ method: 'POST', url: '/upload', ...multipartBody([{ name: 'big', filename: 'big.bin', value: 'x'.repeat(100) }]) });
+            const test44Count = await uploadApp.inject({
+                method: 'POST', url: '/upload',
+                ...multipartBody(['a', 'b', 'c'].map(name => ({ name, filename: `${name}.txt`, value: name })))
+            });
+            assert(test44Size.statusCode === 413 && test44Size.json().error.code === 'FILE_TOO_LARGE', 'Oversized files are rejected with 413');
+            assert(test44Count.statusCode === 413 && test44Count.json().error.code === 'TOO_MANY_FILES', 'Too many files are rejected with 413');
+
+            // Test 45: Malformed bodies are rejected with 400
+            const test45 = await uploadApp.inject({
+                method: 'POST', url: '/upload',
+                headers: { 'content-type': 'multipart/form-data; boundary=zyro-boundary' },
+                payload: '--zyro-boundary\r\nContent-Disposition: form-data; name="a"\r\n\r\nunterminated'
+            });
+            assert(test45.statusCode === 400 && test45.json().error.code === 'MALFORMED_MULTIPART', 'Truncated multipart bodies are rejected with 400');
+
+            // Test 46: Files can be streamed to a custom handler
+            const test46 = await streamApp.inject({ method: 'POST', url: '/upload', ...multipartBody([{ name: 'doc', filename: 'doc.txt', value: 'y'.repeat(5000) }]) });
+            assert(test46.statusCode === 200 && test46.json()[0].result.bytes === 5000 && !test46.json()[0].path, 'onFile receives the upload stream instead of a temp file');
+
+            // Test 47: Form bodies are parsed with bracket nesting
+            const test47 = await postForm('user[name]=Neo+Anderson&user[role]=admin&tags[]=a&tags[]=b&tag=x&tag=y');
+            assert(test47.statusCode === 200 && test47.json().user.name === 'Neo Anderson', 'URL-encoded bodies are decoded into nested objects');
+            assert(test47.json().tags.join(',') === 'a,b' && test47.json().tag.join(',') === 'x,y', 'Bracket arrays and repeated keys become arrays');
+
+            // Test 48: Form parser limits
+            const test48Size = await postForm(`note=${'z'.repeat(300)}`);
+            const test48Params = await postForm('a=1&b=2&c=3&d=4&e=5&f=6&g=7');
+            const test48Depth = await postForm('a[b][c][d]=1');
+            assert(test48Size.statusCode === 413 && test48Size.json().error.code === 'PAYLOAD_TOO_LARGE', 'URL-encoded bodies over the limit are rejected with 413');
+            assert(test48Params.statusCode === 413 && test48Params.json().error.code === 'TOO_MANY_PARAMETERS', 'Too many form parameters are rejected with 413');
+            assert(test48Depth.statusCode === 400 && test48Depth.json().error.code === 'DEPTH_EXCEEDED', 'Form keys nested past the depth limit are rejected with 400');
+
+            // Test 49: Simple mode keeps the last value
+            const test49 = await simpleQueryApp.inject('/list?tag=a&tag=b&page=2');
+            assert(test49.json().tag === 'b' && test49.json().page === '2', 'Simple query parser keeps the last value as a string');
+
+            // Test 50: Extended mode builds arrays and nested objects, coerced by schema
+            const test50 = await extendedQueryApp.inject('/list?tag=a&tag=b&page=2&active=false');
+            const test50Single = await extendedQueryApp.inject('/list?tag=solo');
+            const test50Nested = await extendedQueryApp.inject('/raw?filter[price][min]=10');
+            assert(test50.json().tag.join(',') === 'a,b' && test50.json().page === 2 && test50.json().active === false, 'Extended query parser builds arrays and coerces by schema');
+            assert(Array.isArray(test50Single.json().tag), 'coerceQuery wraps single values for array schemas');
+            assert(test50Nested.json().filter.price.min === '10', 'Extended query parser supports bracket nesting');
+
+            // Test 51: Query parser limits and custom parsers
+            const test51Depth = await extendedQueryApp.inject('/raw?a[b][c][d]=1');
+            const test51Custom = await customQueryApp.inject('/list?x=1&y=2');
+            assert(test51Depth.statusCode === 400 && test51Depth.json().error.code === 'DEPTH_EXCEEDED', 'Query strings nested past the depth limit are rejected with 400');
+            assert(test51Custom.json().raw === 'x=1&y=2', 'Custom queryParser functions receive the raw query string');
+
+            // Test 52: res.cookie appends Set-Cookie headers
+            const test52 = await cookieApp.inject('/set');
+            const test52Cookies = test52.headers['set-cookie'];
+            assert(Array.isArray(test52Cookies) && test52Cookies.length === 3, 'res.cookie() and res.clearCookie() append Set-Cookie headers');
+            assert(/^theme=dark%20mode; Max-Age=60; Expires=.+; Path=\/; HttpOnly; SameSite=Lax$/.test(test52Cookies[0]), 'res.cookie() serializes attributes');
+            assert(test52Cookies[2] === 'legacy=; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/', 'res.clearCookie() expires the cookie');
+
+            // Test 53: Cookies and signed cookies are parsed
+            const signedUid = test52Cookies[1].split(';')[0].slice('uid='.length);
+            const test53 = await cookieApp.inject({ url: '/read', headers: { cookie: `theme=light; uid=${signedUid}; forged=${encodeURIComponent('s:1.bad')}` } });
+            assert(test53.json().cookies.theme === 'light' && test53.json().cookies.uid === undefined, 'req.cookies holds unsigned cookies');
+            assert(test53.json().signed.uid === '42' && test53.json().signed.forged === false, 'req.signedCookies verifies HMAC signatures');
+
+            // Test 54: Cookies signed with a rotated-out secret still verify
+            const oldUid = (await oldSecretApp.inject('/set')).headers['set-cookie'][0].split(';')[0].slice('uid='.length);
+            const test54 = await cookieApp.inject({ url: '/read', headers: { cookie: `uid=${oldUid}` } });
+            assert(test54.json().signed.uid === '7', 'Signed cookies verify against every configured secret');
+
+            // Test 55: Sessions persist across requests
+            const test55Empty = await sessionApp.inject('/peek');
+            const test55First = await sessionApp.inject('/visit');
+            const test55Cookie = sessionCookie(test55First);
+            const test55Second = await sessionApp.inject({ url: '/visit', headers: { cookie: test55Cookie } });
+            assert(test55Empty.headers['set-cookie'] === undefined, 'Unmodified new sessions do not set a cookie');
+            assert(test55Second.json().views === 2 && test55Second.headers['set-cookie'] === undefined, 'Session data persists between requests');
+            const test55RollingEmpty = await rollingSessionApp.inject('/peek');
+            const test55RollingCookie = sessionCookie(await rollingSessionApp.inject('/visit'));
+            const test55Rolling = await rollingSessionApp.inject({ url: '/peek', headers: { cookie: test55RollingCookie } });
+            assert(test55RollingEmpty.headers['set-cookie'] === undefined && sessionCookie(test55Rolling) === test55RollingCookie, 'rolling re-sends the cookie for stored sessions only');
+
+            // Over a socket, so the Content-Length Node derives in end() is visible
+            const rawSessionPort = await launchOnFreePort(rawSessionApp);
+            const test55Raw = await requestOnce(rawSessionPort, '/raw');
+            const test55RawNext = await rawSessionApp.inject({ url: '/peek', headers: { cookie: sessionCookie(test55Raw) } });
+            await rawSessionApp.close();
+            assert(test55Raw.headers['content-length'] === '8' && !test55Raw.headers['transfer-encoding'] && rawSessionEnded === true, 'A raw res.end(body) keeps its Content-Length and ends right away');
+            assert(test55RawNext.json().views === 1, 'Sessions changed before a raw res.end() are saved');
+
+            // Test 56: regenerate() issues a new id and drops the old session
+            const test56 = await sessionApp.inject({ method: 'POST', url: '/login', headers: { cookie: test55Cookie } });
+            const test56Cookie = sessionCookie(test56);
+            const test56Old = await sessionApp.inject({ url: '/peek', headers: { cookie: test55Cookie } });
+            assert(test56Cookie !== test55Cookie && test56Old.json().views === null, 'regenerate() replaces the session id and data');
+
+            // Test 57: destroy() removes the session and clears the cookie
+            const test57 = await sessionApp.inject({ method: 'POST', url: '/logout', headers: { cookie: test56Cookie } });
+            assert(test57.statusCode === 204 && /^zyro\.sid=; Expires=Thu, 01 Jan 1970/.test(test57.headers['set-cookie'][0]), 'destroy() clears the session cookie');
+
+            // Test 58: File store round trip and expiry
+            await fileStore.set('file-session-0001', { cart: [1, 2] }, 60000);
+            await fileStore.set('file-session-0002', { cart: [] }, -1);
+            const test58 = await fileStore.get('file-session-0001');
+            const test58Expired = await fileStore.get('file-session-0002');
+            const test58Traversal = await fileStore.get('../../etc/passwd');
+            await fileStore.destroy('file-session-0001');
+            assert(test58.cart.length === 2 && test58Expired === null, 'FileStore saves sessions and expires them');
+            assert(test58Traversal === null && await fileStore.get('file-session-0001') === null, 'FileStore rejects unsafe ids and destroys sessions');
+            require('fs').rmSync(sessionDir, { recursive: true, force: true });
+
+            // Test 59: app.static serves files, indexes and extension fallbacks
+            const test59Index = await staticApp.inject('/assets');
+            const test59Ext = await staticApp.inject('/assets/about');
+            assert(test59Index.statusCode === 200 && test59Index.body === '<h1>home</h1>' && test59Index.headers['content-type'].startsWith('text/html'), 'app.static serves the directory index');
+            assert(test59Ext.body === 'about' && test59Ext.headers['cache-control'] === 'public, max-age=60, immutable', 'app.static applies extension fallbacks and Cache-Control');
+
+            // Test 60: Traversal, null bytes and dotfiles
+            const test60Traversal = await staticApp.inject('/assets/..%2f..%2fetc%2fpasswd');
+            const test60Null = await staticApp.inject('/assets/app.js%00.html');
+            const test60Ignore = await staticApp.inject('/assets/.env');
+            const test60Deny = await staticApp.inject('/private/.env');
+            assert(test60Traversal.statusCode === 403 && test60Null.statusCode === 400, 'app.static rejects traversal and null bytes');
+            assert(test60Ignore.statusCode === 404 && test60Deny.statusCode === 403, 'app.static applies the dotfiles policy');
+
+            // Test 61: Precompressed variants
+            const test61Br = await staticApp.inject({ url: '/assets/app.js', headers: { 'accept-encoding': 'gzip;q=0.5, br' } });
+            const test61Plain = await staticApp.inject({ url: '/assets/app.js', headers: { 'accept-encoding': 'gzip' } });
+            assert(test61Br.body === 'BROTLI' && test61Br.headers['content-encoding'] === 'br' && test61Br.headers['content-type'].includes('javascript'), 'app.static serves .br siblings with the original Content-Type');
+            assert(test61Plain.body === 'console.log(1)' && !test61Plain.headers['content-encoding'] && test61Plain.headers.vary === 'Accept-Encoding', 'app.static falls back to the original file');
+            require('fs').rmSync(staticDir, { recursive: true, force: true });
+
+            // Test 62: sendFile sets validators and Content-Length
+            const test62 = await mediaApp.inject('/media');
+            assert(test62.statusCode === 200 && Number(test62.headers['content-length']) === 256 && test62.rawPayload.equals(mediaBytes), 'sendFile sets Content-Length');
+            assert(test62.headers.etag && test62.headers['last-modified'] && test62.headers['accept-ranges'] === 'bytes', 'sendFile sets ETag, Last-Modified and Accept-Ranges');
+
+            // Test 63: Single and multiple ranges
+            const test63 = await mediaApp.inject({ url: '/media', headers: { range: 'bytes=16-31' } });
+            const test63Multi = await mediaApp.inject({ url: '/media', headers: { range: 'bytes=0-1,-2' } });
+            assert(test63.statusCode === 206 && test63.headers['content-range'] === 'bytes 16-31/256' && test63.rawPayload.equals(mediaBytes.subarray(16, 32)), 'Single ranges return 206 with Content-Range');
+            assert(test63Multi.statusCode === 206 && test63Multi.headers['content-type'].startsWith('multipart/byteranges; boundary=') &&
+                test63Multi.body.includes('Content-Range: bytes 254-255/256') && Number(test63Multi.headers['content-length']) === test63Multi.rawPayload.length, 'Multiple ranges return multipart/byteranges');
+
+            // Test 64: Unsatisfiable ranges and stale If-Range
+            const test64 = await mediaApp.inject({ url: '/media', headers: { range: 'bytes=500-600' } });
+            const test64Stale = await mediaApp.inject({ url: '/media', headers: { range: 'bytes=0-9', 'if-range': '"outdated"' } });
+            assert(test64.statusCode === 416 && test64.headers['content-range'] === 'bytes */256', 'Unsatisfiable ranges return 416');
+            assert(test64Stale.statusCode === 200 && test64Stale.rawPayload.length === 256, 'A stale If-Range returns the full file');
+
+            // Test 65: Conditional GET
+            const test65Etag = await mediaApp.inject({ url: '/media', headers: { 'if-none-match': test62.headers.etag } });
+            const test65Date = await mediaApp.inject({ url: '/media', headers: { 'if-modified-since': test62.headers['last-modified'] } });
+            assert(test65Etag.statusCode === 304 && test65Etag.rawPayload.length === 0, 'If-None-Match returns 304 for a matching ETag');
+            assert(test65Date.statusCode === 304, 'If-Modified-Since returns 304 for an unchanged file');
+            require('fs').rmSync(mediaFile, { force: true });
+
+            // Test 66: JSON responses are negotiated and compressed
+            const zlib = require('zlib');
+            const test66Br = await compressApp.inject({ url: '/list', headers: { 'accept-encoding': 'gzip;q=0.5, br' } });
+            const test66Gzip = await compressApp.inject({ url: '/list', headers: { 'accept-encoding': 'gzip' } });
+            assert(test66Br.headers['content-encoding'] === 'br' && JSON.parse(zlib.brotliDecompressSync(test66Br.rawPayload)).length === 200, 'The highest-weighted accepted encoding is used');
+            assert(test66Gzip.headers['content-encoding'] === 'gzip' && !test66Gzip.headers['content-length'] && test66Gzip.headers.vary === 'Accept-Encoding' &&
+                JSON.parse(zlib.gunzipSync(test66Gzip.rawPayload)).length === 200, 'gzip responses drop Content-Length and set Vary');
+
+            // Test 67: Threshold, MIME type and identity
+            const test67Tiny = await compressApp.inject({ url: '/tiny', headers: { 'accept-encoding': 'gzip' } });
+            const test67Image = await compressApp.inject({ url: '/image', headers: { 'accept-encoding': 'gzip' } });
+            const test67None = await compressApp.inject('/list');
+            assert(!test67Tiny.headers['content-encoding'] && test67Tiny.body === '{"ok":true}', 'Bodies under the threshold are not compressed');
+            assert(!test67Image.headers['content-encoding'] && test67Image.rawPayload.length === 4096, 'Already-compressed MIME types are skipped');
+            assert(!test67None.headers['content-encoding'] && test67None.json().length === 200, 'Clients without Accept-Encoding get identity responses');
+
+            // Test 68: Streamed files are compressed, ranges are not
+            const test68 = await compressApp.inject({ url: '/source', headers: { 'accept-encoding': 'deflate' } });
+            const test68Range = await compressApp.inject({ url: '/source', headers: { 'accept-encoding': 'gzip', range: 'bytes=0-2' } });
+            assert(test68.headers['content-encoding'] === 'deflate' && zlib.inflateSync(test68.rawPayload).toString().startsWith('// test/test-suite.js'), 'Streamed sendFile responses are compressed');
+            assert(test68Range.statusCode === 206 && !test68Range.headers['content-encoding'] && test68Range.body === '// ', 'Partial responses are not compressed');
+            const test68Identity = await compressApp.inject('/source');
+            const test68Revalidate = await compressApp.inject({ url: '/source', headers: { 'accept-encoding': 'deflate', 'if-none-match': test68.headers.etag } });
+            assert(test68.headers.etag === `W/${test68Identity.headers.etag}` && !test68Identity.headers.etag.startsWith('W/'), 'Compressed responses weaken the ETag');
+            assert(test68Revalidate.statusCode === 304, 'The weakened ETag still revalidates');
+
+            // Test 69: ETags on res.send/res.json and 304 Not Modified
+            const test69 = await etagApp.inject('/report');
+            const test69Etag = test69.headers.etag;
+            const test69Cached = await etagApp.inject({ url: '/report', headers: { 'if-none-match': test69Etag } });
+            const test69Stale = await etagApp.inject({ url: '/report', headers: { 'if-none-match': 'W/"other"' } });
+            const test69Strong = await strongEtagApp.inject('/report');
+            assert(/^W\/"[0-9a-f]+-.+"$/.test(test69Etag), 'res.json sets a weak ETag by default');
+            assert(test69Cached.statusCode === 304 && test69Cached.body === '' && !test69Cached.headers['content-type'], 'Matching If-None-Match gets 304 with no body');
+            assert(test69Stale.statusCode === 200 && test69Stale.json().total === 42, 'A different ETag gets the full response');
+            const test69Post = await etagApp.inject({ method: 'POST', url: '/report', headers: { 'if-none-match': '*' } });
+            assert(test69Post.statusCode === 200 && test69Post.headers.etag === undefined && test69Post.json().total === 43, 'Responses to POST get no automatic ETag');
+            assert(test69Strong.headers.etag === test69Etag.slice(2), 'etag: strong drops the W/ prefix');
+
+            // Test 70: Per-route opt-out and Last-Modified
+            const test70Clock = await etagApp.inject('/clock');
+            const test70Dated = await etagApp.inject({ url: '/dated', headers: { 'if-modified-since': new Date(1000).toUTCString() } });
+            const test70Both = await etagApp.inject({ url: '/dated', headers: { 'if-none-match': '"stale"', 'if-modified-since': new Date(1000).toUTCString() } });
+            assert(test70Clock.headers.etag === undefined && test70Clock.body === 'tick', 'Route etag: false disables the ETag');
+            assert(test70Dated.statusCode === 304, 'An unchanged Last-Modified gets 304');
+            assert(test70Both.statusCode === 200 && test70Both.body === 'old', 'If-None-Match takes precedence over If-Modified-Since');
+
+            // Test 71: If-Match gives 412 on concurrent updates
+            const test71Ok = await etagApp.inject({ method: 'PUT', url: '/doc', headers: { 'if-match': '"v1"' } });
+            const test71Stale = await etagApp.inject({ method: 'PUT', url: '/doc', headers: { 'if-match': '"v1"' } });
+            const test71Create = await etagApp.inject({ method: 'PUT', url: '/doc', headers: { 'if-none-match': '*' } });
+            assert(test71Ok.statusCode === 200 && test71Ok.headers.etag === '"v2"', 'Matching If-Match lets the update through');
+            assert(test71Stale.statusCode === 412 && test71Stale.json().error.code === 'PRECONDITION_FAILED' && etagDoc.version === 2, 'A stale If-Match gets 412 Precondition Failed');
+            assert(test71Create.statusCode === 412, 'If-None-Match: * on an existing resource gets 412');
+
+            // Test 72: close() drains in-flight requests, then runs onClose and unloads plugins
+            const drainApp = createShutdownApp();
+            const drainPort = await launchOnFreePort(drainApp);
+            const keepAliveAgent = new http.Agent({ keepAlive: true });
+            await requestOnce(drainPort, '/slow', keepAliveAgent); // leaves an idle keep-alive socket
+            const test72Pending = requestOnce(drainPort, '/slow', keepAliveAgent);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            const test72Started = Date.now();
+            const test72Closing = drainApp.close();
+            const test72 = await test72Pending;
+            await test72Closing;
+            const test72Refused = await requestOnce(drainPort, '/slow');
+            keepAliveAgent.destroy();
+            assert(test72.statusCode === 200 && test72.body === 'done', 'In-flight requests finish during close()');
+            assert(Date.now() - test72Started < 1000 && !drainApp.server.listening, 'Idle keep-alive sockets do not hold close() open');
+            assert(test72Refused.error && test72Refused.error.code === 'ECONNREFUSED', 'New connections are refused after close()');
+            assert(shutdownEvents.join(',') === 'onClose,unload' && drainApp.close() === test72Closing, 'onClose hooks run before plugin unload; close() is idempotent');
+
+            // Test 73: Requests still running after the timeout are cut off
+            shutdownEvents.length = 0;
+            const hangApp = createShutdownApp();
+            const hangPort = await launchOnFreePort(hangApp);
+            const test73Pending = requestOnce(hangPort, '/hang');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await hangApp.close({ timeout: 50 });
+            const test73 = await test73Pending;
+            assert(test73.error && shutdownEvents.includes('unload'), 'close() force-closes connections after the timeout');
+
+            // Test 74: Async plugins finish loading, in dependency order, before requests run
+            const test74 = await lifecycleApp.inject('/repo');
+            assert(pluginLoadOrder.join(',') === 'DatabasePlugin,RepositoryPlugin', 'Plugins load after their dependencies');
+            assert(test74.statusCode === 200 && test74.json().db === 'connected', 'inject() waits for async plugin load() to finish');
+            assert(await lifecycleApp.ready() === lifecycleApp, 'ready() resolves with the app');
+
+            // Test 75: Load failures surface from ready()
+            const test75Missing = await readyError([OrphanPlugin]);
+            const test75Cycle = await readyError([PingPlugin, PongPlugin]);
+            const test75Timeout = await readyError([StuckPlugin]);
+            const test75Broken = await readyError([BrokenPlugin]);
+            assert(test75Missing.code === 'PLUGIN_DEPENDENCY_MISSING' && test75Missing.message.includes('"AuthPlugin"'), 'Missing dependencies are reported');
+            assert(test75Cycle.code === 'PLUGIN_DEPENDENCY_CYCLE' && test75Cycle.message.includes('PingPlugin -> PongPlugin -> PingPlugin'), 'Dependency cycles are reported');
+            assert(test75Timeout.code === 'PLUGIN_TIMEOUT' && test75Timeout.plugin === 'StuckPlugin', 'Slow plugins time out');
+            assert(test75Broken.message === 'connection refused' && test75Broken.plugin === 'BrokenPlugin', 'Rejected load() becomes a startup error');
+
+            // close() while launch() is still waiting for plugins never opens the port
+            shutdownEvents.length = 0;
+            const earlyCloseApp = createShutdownApp();
+            let earlyCloseListened = false;
+            earlyCloseApp.addHook('onListen', () => { earlyCloseListened = true; });
+            const earlyCloseServer = earlyCloseApp.launch(0, '127.0.0.1');
+            await earlyCloseApp.close();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert(!earlyCloseServer.listening && !earlyCloseListened && shutdownEvents.join(',') === 'onClose,unload', 'close() during startup waits for launch() and leaves no port open');
+
+            // Startup failures are reported through 'server:error' and close the app without exiting the process
+            shutdownEvents.length = 0;
+            const busyApp = createShutdownApp();
+            const busyError = new Promise(resolve => busyApp.once('server:error', resolve));
+            busyApp.launch(PORT);
+            const busyErr = await busyError;
+            await busyApp.close();
+            const brokenLaunchApp = new ZyroAPI({ verbose: false });
+            brokenLaunchApp.plug(class DatabasePlugin extends Plugin { load() { throw new Error('database unreachable'); } });
+            const brokenLaunchError = new Promise(resolve => brokenLaunchApp.once('server:error', resolve));
+            const brokenLaunchServer = brokenLaunchApp.launch(0, '127.0.0.1');
+            const brokenLaunchErr = await brokenLaunchError;
+            await brokenLaunchApp.close();
+            assert(busyErr.code === 'EADDRINUSE' && shutdownEvents.join(',') === 'onClose,unload', 'A port in use emits server:error and closes the app');
+            assert(brokenLaunchErr.message === 'database unreachable' && !brokenLaunchServer.listening, 'A plugin load failure emits server:error and never opens the port');
+
+            // Test 76: A plugin's prefix, middleware, hooks and error handler stay in its scope
+            const test76Denied = await scopedApp.inject('/billing/invoices');
+            const test76Allowed = await scopedApp.inject({ url: '/billing/invoices', headers: { 'x-team': 'billing' } });
+            const test76Fail = await scopedApp.inject({ url: '/billing/fail', headers: { 'x-team': 'billing' } });
+            const test76Public = await scopedApp.inject('/public');
+            const test76Boom = await scopedApp.inject('/boom');
+            assert(test76Denied.statusCode === 401 && test76Denied.json().billingError === 'Billing team only', 'Scoped middleware and error handler apply to the plugin routes');
+            assert(test76Allowed.statusCode === 200 && test76Fail.json().billingError === 'ledger offline', 'Plugin routes get the scope prefix');
+            assert(test76Public.statusCode === 200 && test76Boom.json().error.message === 'root failure', 'Routes outside the scope skip its middleware and error handler');
+            assert(scopeEvents.join(',') === 'billing:/billing/invoices,billing:/billing/invoices,billing:/billing/fail', 'Scoped onRequest hooks only run for the scope routes');
+
+            // Test 77: register() scopes nest, and lifecycle hooks still reach the app
+            const test77Daily = await scopedApp.inject('/reports/daily/summary');
+            const test77Reports = await scopedApp.inject('/reports');
+            assert(test77Daily.json().trail.join('/') === 'reports/daily', 'Nested scopes run outer middleware first and stack prefixes');
+            assert(test77Reports.json().trail.join('/') === 'reports' && test76Public.json().trail === null, 'Child scope middleware does not leak to the parent or the app');
+            await scopedApp.close();
+            assert(scopeEvents[scopeEvents.length - 1] === 'billing:close', 'onClose hooks added in a scope run on app.close()');
+
+            // A plugin can be plugged under several prefixes, once per prefix
+            const test77Billing = await multiScopeApp.inject('/billing/me');
+            const test77Search = await multiScopeApp.inject('/search/me');
+            assert(test77Billing.statusCode === 200 && test77Search.json().path === '/search/me' && whoAmILoads === 2, 'The same plugin loads once per prefix');
+            assert(multiScopeApp.plugins.has('WhoAmIPlugin') && multiScopeApp.plugins.has('WhoAmIPlugin (/search)'), 'Later registrations are listed under the plugin name and prefix');
+
+            // Test 78: Decorators registered by one plugin are available to the plugins that declare them
+            const test78 = await decoratedApp.inject({ url: '/profile/7', headers: { 'x-tenant': 'acme' } });
+            const test78Missing = await decoratedApp.inject('/profile/0');
+            assert(test78.json().tenant === 'acme' && test78.json().user.name === 'User 7', 'App and request decorators (with getters) are available');
+            assert(test78Missing.statusCode === 404 && test78Missing.json().missing === 'user', 'Response decorators become methods on res');
+            assert(decoratedApp.hasDecorator('usersDb') && !decoratedApp.hasDecorator('scopedOnly'), 'Decorators made in a scope stay inside it');
+
+            // Test 79: Conflicts and missing decorators are reported
+            const test79App = decoratorError(() => decoratedApp.decorate('usersDb', {}));
+            const test79Core = decoratorError(() => decoratedApp.decorateRequest('params', null));
+            const test79Node = decoratorError(() => decoratedApp.decorateResponse('setHeader', () => {}));
+            const test79Shared = decoratorError(() => decoratedApp.decorateRequest('cart', []));
+            const test79Requires = await readyError([NeedsCachePlugin]);
+            assert(test79App.code === 'DECORATOR_CONFLICT' && test79Core.code === 'DECORATOR_CONFLICT' && test79Node.code === 'DECORATOR_CONFLICT', 'Name collisions throw DECORATOR_CONFLICT');
+            assert(test79Shared && test79Shared.message.includes('getter'), 'Shared object values are rejected for request decorators');
+            assert(test79Requires.code === 'DECORATOR_MISSING' && test79Requires.message.includes('app.cache'), 'Plugins fail to load when a required decorator is missing');
+
+            // Test 80: Routers mount under a prefix with their own middleware
+            const test80List = await mountApp.inject('/users');
+            const test80Nested = await mountApp.inject('/users/7/settings');
+            const test80Tenant = await mountApp.inject('/tenants/acme/users/7');
+            const test80Plain = await mountApp.inject('/plain');
+            assert(test80List.json().trail.join() === 'users' && test80Nested.json().trail.join() === 'users', 'Router middleware runs for its routes and nested routers');
+            assert(test80Tenant.json().id === '7' && test80Tenant.json().tenant === 'acme', 'Mount prefixes may contain params');
+            assert(test80Plain.json().trail === null, 'Router middleware does not run for app routes');
+
+            // Test 81: Mounted apps and raw handlers see a stripped URL
+            const test81Legacy = await mountApp.inject('/legacy/status?verbose=1');
+            const test81Raw = await mountApp.inject('/raw/v2/hello?a=1');
+            const test81RawUrl = rawMountReq.url;
+            const test81Next = await mountApp.inject('/raw/v2/missing');
+            assert(test81Legacy.statusCode === 200 && test81Legacy.json().url === '/status?verbose=1' && test81Legacy.json().baseUrl === '/legacy', 'Mounted apps route on the URL without the prefix');
+            assert(test81Legacy.json().originalUrl === '/legacy/status?verbose=1' && test81Legacy.json().query.verbose === '1', 'originalUrl and the query string are kept');
+            assert(test81Raw.body === '/raw/v2 /hello?a=1' && test81RawUrl === '/raw/v2/hello?a=1', 'Raw handlers get a stripped URL that is restored afterwards');
+            assert(test81Next.statusCode === 404, 'next() from a raw handler falls through to a 404');
+
+            // Test 82: app.route() registers every method with its config and preHandlers
+            const test82Get = await routeOptionsApp.inject('/items/5');
+            const test82Post = await routeOptionsApp.inject({ method: 'POST', url: '/items/5' });
+            const test82Private = await routeOptionsApp.inject('/private');
+            assert(test82Get.json().route === '/items/:id' && test82Get.json().label === 'items', 'req.routeOptions exposes the route pattern and config');
+            assert(test82Post.json().method === 'POST' && test82Get.json().steps.join() === 'first,second', 'Every method is registered and route preHandlers run in order');
+            assert(test82Private.statusCode === 401, 'App hooks can read route config (a response from a preHandler skips the handler)');
+
+            // Test 83: bodyLimit, timeout and constraints
+            const test83Large = await routeOptionsApp.inject({ method: 'POST', url: '/upload', payload: 'this body is too long' });
+            const test83Small = await routeOptionsApp.inject({ method: 'POST', url: '/upload', payload: 'short' });
+            const test83Slow = await routeOptionsApp.inject('/slow');
+            const test83Host = await routeOptionsApp.inject({ url: '/hosted', headers: { host: 'api.example.com' } });
+            const test83OtherHost = await routeOptionsApp.inject({ url: '/hosted', headers: { host: 'www.example.com' } });
+            assert(test83Large.statusCode === 413 && test83Large.json().error.code === 'PAYLOAD_TOO_LARGE' && test83Small.statusCode === 200, 'bodyLimit rejects larger bodies with 413');
+            const test83Chunked = await routeOptionsApp.inject({ method: 'POST', url: '/upload-json', headers: { 'transfer-encoding': 'chunked' }, payload: { text: 'this body is too long' } });
+            const test83ChunkedSmall = await routeOptionsApp.inject({ method: 'POST', url: '/upload-json', headers: { 'transfer-encoding': 'chunked' }, payload: { a: 1 } });
+            assert(test83Chunked.statusCode === 413 && test83Chunked.json().error.code === 'PAYLOAD_TOO_LARGE' && test83ChunkedSmall.statusCode === 200, 'bodyLimit also applies to chunked JSON bodies');
+            const test83Raw = await routeOptionsApp.inject({ method: 'POST', url: '/upload-raw', headers: { 'transfer-encoding': 'chunked', 'content-type': 'text/plain' }, payload: 'this body is too long' });
+            const test83RawSmall = await routeOptionsApp.inject({ method: 'POST', url: '/upload-raw', headers: { 'transfer-encoding': 'chunked', 'content-type': 'text/plain' }, payload: 'short' });
+            assert(test83Raw.statusCode === 413 && test83Raw.json().error.code === 'PAYLOAD_TOO_LARGE' && test83RawSmall.json().received === 5, 'A chunked body read without an error listener still gets 413');
+            assert(test83Slow.statusCode === 503 && test83Slow.json().error.code === 'ROUTE_TIMEOUT', 'A route that does not respond in time gets 503');
+            assert(test83Host.statusCode === 200 && test83OtherHost.statusCode === 404, 'Routes only match requests that satisfy their constraints');
+            let test83Invalid = null;
+            try { routeOptionsApp.get('/bad', { timeout: -1 }, (req, res) => res.end()); } catch (err) { test83Invalid = err; }
+            assert(test83Invalid && test83Invalid.message.includes('timeout'), 'Invalid route options throw at registration');
+
+            // Test 84: Accept-Version selects the route, and the matched version is on req
+            const test84V1 = await versionedApp.inject({ url: '/api/users', headers: { 'accept-version': '1.x' } });
+            const test84V2 = await versionedApp.inject({ url: '/api/users', headers: { 'accept-version': '2.x' } });
+            const test84Exact = await versionedApp.inject({ url: '/api/users/3', headers: { 'accept-version': '2.0.0' } });
+            const test84None = await versionedApp.inject('/api/users');
+            const test84Unknown = await versionedApp.inject({ url: '/api/users', headers: { 'accept-version': '3.x' } });
+            assert(test84V1.json().users[0] === 'v1' && test84V1.json().version === '1.0.0', 'Accept-Version ranges pick the matching versioned route');
+            assert(test84V2.json().version === '2.1.0' && test84Exact.json().version === '2.0.0', 'Route constraints override the group version');
+            assert(test84None.json().version === null && test84Unknown.statusCode === 404, 'Requests without Accept-Version use unversioned routes; unknown versions 404');
+            const test84Scoped = await versionedApp.inject({ url: '/api/orders', headers: { 'accept-version': '3.x' } });
+            const test84ScopedNone = await versionedApp.inject('/api/orders');
+            assert(test84Scoped.json().version === '3.0.0' && test84ScopedNone.statusCode === 404, 'Async register() inside a group keeps the group version');
+            assert(test84V2.headers.vary === 'Accept-Version', 'Versioned responses vary on Accept-Version');
+            const test84Vary = await versionedApp.inject({ url: '/api/users', headers: { 'accept-version': '2.x', origin: 'https://app.example.com' } });
+            assert(test84Vary.headers.vary === 'Origin, Accept-Version', 'Accept-Version is added to an existing Vary header');
+
+            // Test 85: Deprecation and Sunset headers, host constraints
+            assert(test84V1.headers.deprecation === '@1767225600' && test84V1.headers.sunset === 'Fri, 01 Jan 2027 00:00:00 GMT', 'Deprecated versions send Deprecation and Sunset headers');
+            assert(test84V2.headers.deprecation === undefined, 'Other versions are not marked deprecated');
+            const test85Host = await versionedApp.inject({ url: '/tenant', headers: { host: 'acme.example.com' } });
+            const test85Other = await versionedApp.inject({ url: '/tenant', headers: { host: 'acme.test' } });
+            assert(test85Host.statusCode === 200 && test85Other.statusCode === 404, 'Host constraints accept RegExp patterns');
+
+            // Test 86: Requests are dispatched to sub-apps by Host
+            const test86Api = await vhostApp.inject({ url: '/users', headers: { host: 'API.example.com:8080' } });
+            const test86Main = await vhostApp.inject({ url: '/users', headers: { host: 'www.example.com', 'x-root-key': 'secret' } });
+            const test86Blocked = await vhostApp.inject({ url: '/users', headers: { host: 'www.example.com' } });
+            const test86Missing = await vhostApp.inject({ url: '/missing', headers: { host: 'api.example.com' } });
+            assert(test86Api.json().app === 'api' && test86Api.json().vhost === 'api.example.com', 'A matching Host (any case, with a port) goes to the virtual host');
+            assert(test86Api.headers['x-served-by'] === 'api' && test86Main.json().app === 'main', 'Sub-apps keep their own middleware; other hosts use the main routes');
+            assert(test86Missing.statusCode === 404 && test86Missing.json().apiError, 'Sub-apps handle their own errors');
+            assert(test86Blocked.statusCode === 401 && test86Api.statusCode === 200, 'Middleware of the outer app does not run for virtual hosts');
+
+            const test86HostA = await hostRoutesApp.inject({ method: 'PUT', url: '/items/1', headers: { host: 'a.example.com' } });
+            const test86HostB = await hostRoutesApp.inject({ method: 'PUT', url: '/items/1', headers: { host: 'b.example.com' } });
+            const test86GoA = await hostRoutesApp.inject({ url: '/go', headers: { host: 'a.example.com' } });
+            const test86GoB = await hostRoutesApp.inject({ url: '/go', headers: { host: 'b.example.com' } });
+            assert(test86HostA.headers.allow === 'GET, HEAD, OPTIONS' && test86HostB.headers.allow === 'DELETE, OPTIONS', 'Each virtual host answers 405 with its own Allow methods');
+            assert(test86GoA.headers.location === '/home-a' && test86GoB.headers.location === '/home-b', 'Route names are per virtual host, and res.redirectTo() uses the host\'s routes');
+
+            // Test 87: Wildcard and named subdomains
+            const test87Tenant = await vhostApp.inject({ url: '/', headers: { host: 'acme.eu.tenant.example.com' } });
+            const test87Deep = await vhostApp.inject({ url: '/users', headers: { host: 'a.b.eu.tenant.example.com', 'x-root-key': 'secret' } });
+            assert(test87Tenant.statusCode === 200 && test87Tenant.json().tenant === 'acme' && test87Tenant.json().region === 'eu' && test87Tenant.json().count === 2, 'req.vhost exposes named and wildcard subdomains');
+            assert(test87Deep.json().app === 'main', 'Each wildcard matches a single label');
+
+            // Test 88: HEAD runs the GET route without a body
+            const test88Get = await methodsApp.inject('/articles/9');
+            const test88Head = await methodsApp.inject({ method: 'HEAD', url: '/articles/9' });
+            const test88Explicit = await methodsApp.inject({ method: 'HEAD', url: '/explicit' });
+            assert(test88Head.statusCode === 200 && test88Head.body === '' && test88Head.headers['x-article'] === '9', 'HEAD is answered by the GET route with an empty body');
+            assert(test88Head.headers['content-length'] === test88Get.headers['content-length'], 'HEAD keeps the GET Content-Length');
+            assert(test88Explicit.headers['x-explicit'] === 'head', 'An explicit HEAD route takes precedence');
+
+            // Test 89: OPTIONS and 405 list the allowed methods
+            const test89Options = await methodsApp.inject({ method: 'OPTIONS', url: '/articles/9' });
+            const test89Custom = await methodsApp.inject({ method: 'OPTIONS', url: '/articles' });
+            const test89Delete = await methodsApp.inject({ method: 'DELETE', url: '/articles/9' });
+            const test89Missing = await methodsApp.inject({ method: 'DELETE', url: '/nothing' });
+            assert(test89Options.statusCode === 204 && test89Options.headers.allow === 'GET, HEAD, PUT, OPTIONS', 'OPTIONS is answered automatically with Allow');
+            assert(test89Custom.json().custom === true, 'A registered OPTIONS handler is used instead');
+            assert(test89Delete.statusCode === 405 && test89Delete.json().error.code === 'METHOD_NOT_ALLOWED' && test89Delete.headers.allow === 'GET, HEAD, PUT, OPTIONS', 'Other methods get 405 with an Allow header');
+            const test89Explicit = await methodsApp.inject({ method: 'DELETE', url: '/explicit' });
+            const test89Post = await methodsApp.inject({ method: 'PATCH', url: '/articles' });
+            assert(test89Explicit.headers.allow === 'GET, HEAD, OPTIONS' && test89Post.headers.allow === 'POST, OPTIONS', 'Allow lists GET and HEAD first and OPTIONS last, whatever the registration order');
+            assert(test89Missing.statusCode === 404, 'Unknown paths still get 404');
+
+            // Test 90: app.routes() lists every route with its details
+            const test90Routes = introspectApp.routes();
+            const test90Item = test90Routes.find(route => route.path === '/api/items/:id');
+            assert(test90Routes.map(route => `${route.method} ${route.path}`).join() === 'GET /admin/audit/log,GET /api/items/:id,GET /health', 'routes() returns full patterns in registration order');
+            assert(test90Item.handler === 'getItem' && test90Item.middleware.join() === 'loadItem' && test90Item.constraints.version === '1.0.0', 'routes() includes handler and middleware names and constraints');
+            const test90Tree = introspectApp.printRoutes();
+            assert(test90Tree.includes('health (GET)') && test90Tree.includes(':id (GET)'), 'printRoutes() renders the route tree');
+
+            // Test 91: onRoute hooks see and can augment routes from their scope
+            const test91 = await introspectApp.inject('/admin/audit/log');
+            assert(seenRoutes.join() === 'GET /admin/audit/log', 'Scoped onRoute hooks fire at registration for their own routes only');
+            assert(test91.headers['x-audited'] === 'yes' && test90Routes[0].middleware.join() === 'auditTrail', 'onRoute hooks can add middleware to a route');
+
+            // Test 92: app.url() builds encoded paths with group prefixes and a query string
+            const test92 = await namedApp.inject('/api/v2/users/7');
+            assert(test92.json().self === '/api/v2/users/7' && test92.json().posts === '/api/v2/users/7/posts?page=2&tag=a%20b&tag=c', 'req.app.url() includes group prefixes and the query');
+            assert(namedApp.url('user', { id: 'a/b é' }) === '/api/v2/users/a%2Fb%20%C3%A9' && namedApp.url('file', { '*': 'docs/read me.txt' }) === '/api/v2/files/docs/read%20me.txt', 'Params are encoded; wildcards keep their slashes');
+            assert(namedApp.url('range', { from: 1, to: 5 }) === '/api/v2/range/1-5', 'Several params in one segment are filled in');
+            let test92Missing = null;
+            let test92Unknown = null;
+            let test92Duplicate = null;
+            try { namedApp.url('userPosts', {}); } catch (err) { test92Missing = err; }
+            try { namedApp.url('nope'); } catch (err) { test92Unknown = err; }
+            try { namedApp.get('/elsewhere', { name: 'user' }, (req, res) => res.end()); } catch (err) { test92Duplicate = err; }
+            assert(test92Missing?.code === 'ROUTE_PARAM_MISSING' && test92Unknown?.code === 'ROUTE_NAME_UNKNOWN' && test92Duplicate, 'Missing params, unknown and duplicate names throw');
+
+            // Test 93: res.redirectTo() redirects to a named route
+            const test93 = await namedApp.inject('/old-profile/12');
+            const test93Mounted = await namedApp.inject('/auth/start');
+            assert(test93.statusCode === 301 && test93.headers.location === '/api/v2/users/12', 'res.redirectTo() uses the named route and status');
+            assert(test93Mounted.headers.location === '/auth/login', 'Redirects from a mounted app keep the mount prefix');
+
         } catch (error) {
             console.error('❌ Test execution error:', error);
             testsFailed++;